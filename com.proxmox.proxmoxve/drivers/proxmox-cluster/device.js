@@ -3,6 +3,40 @@
 const Homey = require('homey');
 const ProxmoxClient = require('../../lib/ProxmoxClient');
 const HostManager = require('../../lib/HostManager');
+const NutClient = require('../../lib/NutClient');
+const ClusterOrchestrator = require('../../lib/ClusterOrchestrator');
+
+// Snapshots created by flows carry this marker in their description, retention only touches those
+const HOMEY_SNAPSHOT_MARKER = '[homey]';
+
+// Power actions per guest type, mapped to the /status/{action} endpoint and its parameters.
+// For HA managed guests, actions with a haState set the HA requested state instead.
+const GUEST_ACTIONS = {
+  start: { endpoint: 'start', types: ['qemu', 'lxc'], haState: 'started' },
+  stop: {
+    endpoint: 'stop', types: ['qemu', 'lxc'], body: { 'overrule-shutdown': '1' }, haState: 'disabled',
+  },
+  shutdown: { endpoint: 'shutdown', types: ['qemu', 'lxc'], haState: 'stopped' },
+  reboot: { endpoint: 'reboot', types: ['qemu', 'lxc'] },
+  reset: { endpoint: 'reset', types: ['qemu'] },
+  suspend: { endpoint: 'suspend', types: ['qemu', 'lxc'] },
+  resume: { endpoint: 'resume', types: ['qemu', 'lxc'] },
+  hibernate: { endpoint: 'suspend', types: ['qemu'], body: { todisk: '1' } },
+};
+
+// HA capabilities only exist while the HA manager is in use
+const HA_CAPABILITIES = ['status_ha_master', 'status_ha_lrm', 'status_ha_resources'];
+const HA_PROBLEM_STATES = ['error', 'fence', 'recovery'];
+
+// Ceph capabilities are added once a Ceph cluster is detected
+const CEPH_MAINTENANCE_FLAGS = ['noout', 'norebalance', 'nobackfill'];
+const CEPH_CAPABILITIES = ['status_ceph_health', 'measure_ceph_osd_up', 'measure_ceph_osd_in', 'status_ceph_pgs', 'measure_ceph_usage_perc'];
+
+// UPS capabilities only exist while a NUT server is configured
+const UPS_CAPABILITIES = ['status_ups', 'measure_ups_battery', 'measure_ups_runtime'];
+const UPS_SETTINGS = ['nut_host', 'nut_port', 'nut_ups', 'nut_username', 'nut_password'];
+const UPS_POLL_INTERVAL = 30 * 1000; // power events need a faster reaction than the cluster stats
+const HA_POLL_INTERVAL = 30 * 1000; // fence and recovery states only last a short while
 
 // Represents the paired Proxmox Cluster connection device
 module.exports = class ProxmoxClusterDevice extends Homey.Device {
@@ -16,14 +50,27 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
     this.pendingRequests = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache TTL
     this.activeTimeouts = new Set();
+    this.guestStates = null; // vmid => { status, name, type, node } from the previous poll
+    this.haStates = null; // sid => { state, node } from the previous poll
+    this.haNodeStates = null; // node => HA manager node state from the previous poll
+    this.cephProbedAt = null; // last failed Ceph probe, see _updateCephStatus
 
     // Initialize Helpers
     this.hostManager = new HostManager(this.log.bind(this));
     this.proxmoxClient = new ProxmoxClient(this._getCredentialsFromSettings(), { timeout: 15000 });
+    this.orchestrator = new ClusterOrchestrator(this);
+    this.nutClient = null;
+    this.upsShutdownStarted = false;
 
     try {
       this._initializeHostManager();
 
+      // Add capabilities introduced after the device was paired
+      for (const id of ['status_quorum', 'alarm_quorum', 'measure_votes_expected', 'measure_votes_present', 'status_cluster_name', 'status_cluster_version',
+        'status_last_backup', 'status_last_backup_time']) {
+        if (!this.hasCapability(id)) await this.addCapability(id);
+      }
+
       // Test connection
       if (this.hasSettings()) {
         this.log(this.homey.__('driver.testing_connection'));
@@ -34,6 +81,8 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
       await this.updateStatusAndConnection();
       this.startPolling();
       this.startHealthMonitoring();
+      this.startHaPolling();
+      await this._configureUps(this.getSettings());
     } catch (error) {
       this.error(this.homey.__('driver.initialization_error'), error);
       await this.setUnavailable(error.message || this.homey.__('error.initialization_failed')).catch(this.error);
@@ -86,6 +135,10 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
       if (changedKeys.includes('poll_interval_cluster')) {
         this.startPolling(newSettings.poll_interval_cluster);
       }
+
+      if (changedKeys.some((key) => UPS_SETTINGS.includes(key))) {
+        await this._configureUps(newSettings);
+      }
     } catch (error) {
       this.error('Error processing settings update:', error);
     }
@@ -99,6 +152,8 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
     this.log(this.homey.__('driver.deleted', { s: this.getName() }));
     this.stopPolling();
     this.stopHealthMonitoring();
+    this.stopUpsPolling();
+    this.stopHaPolling();
     this._clearAllTimeouts();
   }
 
@@ -239,7 +294,9 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
   async _executeApiCallWithFallback(urlPath, options = {}) {
     // 1. Cache Check (GET only)
     const isGet = (options.method || 'GET') === 'GET';
-    const cacheKey = `${urlPath}:${JSON.stringify(options)}`;
+    // refreshCache is left out of the key, so a refreshing call updates the entry plain (cached) calls read
+    const { refreshCache, ...keyOptions } = options;
+    const cacheKey = `${urlPath}:${JSON.stringify(keyOptions)}`;
 
     // Skip reading cache if skipCache OR refreshCache is true
     if (isGet && !options.skipCache && !options.refreshCache) {
@@ -287,6 +344,13 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
           return result;
         } catch (error) {
           this.error(this.homey.__('driver.api_fail_via', { s: host, s2: error.message }));
+
+          // With failoverOnServerError: false, any HTTP answer means the host itself is fine: the request is about
+          // something the other hosts can't answer either (a migrated guest, an offline node, no Ceph)
+          if (options.failoverOnServerError === false && error.statusCode) {
+            throw error;
+          }
+
           this.hostManager.updateHostStatus(host, false);
           lastError = error;
 
@@ -350,6 +414,7 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
       let nodeCount = 0;
       if (Array.isArray(statusData?.data)) {
         nodeCount = statusData.data.filter((n) => n.type === 'node' && n.online === 1).length;
+        await this._updateQuorumStatus(statusData.data);
       }
 
       // Process VM/LXC Count
@@ -364,11 +429,19 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
         });
       }
 
+      if (Array.isArray(resourcesData?.data)) {
+        this._processGuestStateChanges(resourcesData.data);
+      }
+
       // Update Capabilities
       await this._updateCapability('measure_node_count', nodeCount);
       await this._updateCapability('measure_vm_count', vmCount);
       await this._updateCapability('measure_lxc_count', lxcCount);
 
+      // Backup results are a side concern, never let them break the status update
+      await this._checkBackupTasks().catch((e) => this.error('Backup task check failed:', e.message));
+      await this._updateCephStatus(statusData?.data || []).catch((e) => this.error('Ceph status check failed:', e.message));
+
       if (!this.getAvailable()) await this.setAvailable();
 
     } catch (error) {
@@ -376,6 +449,408 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
     }
   }
 
+  // === QUORUM ===
+
+  // Maps the 'cluster' entry of /cluster/status to the quorum capabilities and fires the quorum triggers
+  async _updateQuorumStatus(statusEntries) {
+    const clusterEntry = statusEntries.find((e) => e.type === 'cluster');
+    const nodes = statusEntries.filter((e) => e.type === 'node');
+
+    // A standalone node has no cluster entry and is always quorate
+    const quorate = clusterEntry ? clusterEntry.quorate === 1 : true;
+    const votes = clusterEntry ? await this._getQuorumVotes(nodes) : { expected: 1, present: 1 };
+
+    let quorumText = this.homey.__('status.standalone');
+    if (clusterEntry) quorumText = this.homey.__(quorate ? 'status.quorate' : 'status.not_quorate');
+
+    const previousAlarm = this.getCapabilityValue('alarm_quorum');
+
+    await this._updateCapability('status_quorum', quorumText);
+    await this._updateCapability('alarm_quorum', !quorate);
+    await this._updateCapability('measure_votes_expected', votes.expected);
+    await this._updateCapability('measure_votes_present', votes.present);
+    await this._updateCapability('status_cluster_name', clusterEntry?.name || '-');
+    await this._updateCapability('status_cluster_version', clusterEntry?.version !== undefined ? String(clusterEntry.version) : '-');
+
+    // Only fire on a real transition, not on the first poll of a freshly added device
+    if (previousAlarm === null || previousAlarm === !quorate) return;
+
+    const tokens = {
+      cluster_name: clusterEntry?.name || '',
+      votes_present: votes.present,
+      votes_expected: votes.expected,
+    };
+    this.log(`Cluster quorum changed: ${quorate ? 'quorate' : 'NOT quorate'} (${votes.present}/${votes.expected} votes)`);
+    this._triggerFlow(quorate ? 'cluster_quorum_regained' : 'cluster_quorum_lost', tokens);
+  }
+
+  // Votes per node come from the corosync config, fall back to one vote per node if it can't be read
+  async _getQuorumVotes(nodes) {
+    const votesPerNode = {};
+    try {
+      const config = await this._executeApiCallWithFallback('/api2/json/cluster/config/nodes');
+      (config?.data || []).forEach((n) => {
+        votesPerNode[n.node || n.name] = parseInt(n.quorum_votes, 10) || 1;
+      });
+    } catch (e) {
+      this.error('Could not read corosync node config, assuming one vote per node:', e.message);
+    }
+
+    const votesOf = (node) => votesPerNode[node.name] || 1;
+    return {
+      expected: nodes.reduce((sum, n) => sum + votesOf(n), 0),
+      present: nodes.filter((n) => n.online === 1).reduce((sum, n) => sum + votesOf(n), 0),
+    };
+  }
+
+  // Live quorum check for the 'is quorate' condition
+  async checkQuorum() {
+    const res = await this._executeApiCallWithFallback('/api2/json/cluster/status', { skipCache: true });
+    if (!Array.isArray(res?.data)) throw new Error(this.homey.__('error.api_error', { s: 'cluster/status' }));
+
+    const clusterEntry = res.data.find((e) => e.type === 'cluster');
+    return clusterEntry ? clusterEntry.quorate === 1 : true;
+  }
+
+  // === CEPH ===
+
+  // Cluster wide endpoint first, older versions only have the per node one (tried on each online node).
+  // Without Ceph these endpoints answer with a 500, which must not count against the hosts:
+  // only unreachable hosts fail over to the next one.
+  async _getCephStatus(statusEntries) {
+    const options = { skipCache: true, failoverOnServerError: false };
+    try {
+      return (await this._executeApiCallWithFallback('/api2/json/cluster/ceph/status', options))?.data;
+    } catch (error) {
+      if (error.statusCode !== 501) throw error;
+      const nodes = statusEntries.filter((e) => e.type === 'node' && e.online === 1).map((e) => e.name);
+      for (const node of nodes) {
+        try {
+          return (await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/ceph/status`, options))?.data;
+        } catch (nodeError) {
+          // try the next node
+        }
+      }
+      throw error;
+    }
+  }
+
+  async _updateCephStatus(statusEntries) {
+    // Most clusters don't run Ceph, so only probe for it once an hour until it has been seen
+    const cephSeen = this.hasCapability('status_ceph_health');
+    if (!cephSeen && this.cephProbedAt && Date.now() - this.cephProbedAt < 60 * 60 * 1000) return;
+
+    // Any error means no (reachable) Ceph; once seen, the capabilities keep their last values
+    let ceph;
+    try {
+      ceph = await this._getCephStatus(statusEntries);
+    } catch (error) {
+      this.cephProbedAt = Date.now();
+      if (cephSeen) this.log('Ceph status not available:', error.message);
+      return;
+    }
+    if (!ceph?.health) return;
+
+    for (const id of CEPH_CAPABILITIES) {
+      if (!this.hasCapability(id)) await this.addCapability(id);
+    }
+
+    // HEALTH_OK / HEALTH_WARN / HEALTH_ERR
+    const health = String(ceph.health.status || '').replace('HEALTH_', '').toLowerCase() || 'unknown';
+    const checks = Object.entries(ceph.health.checks || {})
+      .map(([name, check]) => `${name}: ${check.summary?.message || check.severity || ''}`)
+      .join('\n');
+
+    // Newer Ceph versions nest the counters one level deeper
+    const osdmap = ceph.osdmap?.osdmap || ceph.osdmap || {};
+    const osdsUp = osdmap.num_up_osds || 0;
+    const osdsIn = osdmap.num_in_osds || 0;
+    const osdsTotal = osdmap.num_osds || 0;
+
+    const pgmap = ceph.pgmap || {};
+    const pgStates = (pgmap.pgs_by_state || []).map((pg) => `${pg.count} ${pg.state_name}`).join(', ') || '-';
+    const usagePerc = pgmap.bytes_total > 0 ? parseFloat(((pgmap.bytes_used / pgmap.bytes_total) * 100).toFixed(1)) : 0;
+
+    const previousHealth = this.getCapabilityValue('status_ceph_health');
+    const previousUp = this.getCapabilityValue('measure_ceph_osd_up');
+
+    await this._updateCapability('status_ceph_health', ['ok', 'warn', 'err'].includes(health) ? health : 'unknown');
+    await this._updateCapability('measure_ceph_osd_up', osdsUp);
+    await this._updateCapability('measure_ceph_osd_in', osdsIn);
+    await this._updateCapability('status_ceph_pgs', pgStates);
+    await this._updateCapability('measure_ceph_usage_perc', usagePerc);
+
+    if (previousHealth && previousHealth !== this.getCapabilityValue('status_ceph_health')) {
+      this.log(`Ceph health changed: ${previousHealth} -> ${health}`);
+      this._triggerFlow('ceph_health_changed', { old_health: previousHealth, new_health: health, checks });
+    }
+    if (typeof previousUp === 'number' && osdsUp < previousUp) {
+      this.log(`Ceph OSD(s) went down: ${osdsUp}/${osdsTotal} up`);
+      this._triggerFlow('ceph_osd_down', {
+        osds_down: osdsTotal - osdsUp, osds_up: osdsUp, osds_total: osdsTotal, checks,
+      });
+    }
+  }
+
+  // Ceph flag requests answer with a 500 on clusters without Ceph: keep that out of the host failover
+  // and report it as a clear error instead
+  async _cephApiCall(urlPath, options = {}) {
+    try {
+      return await this._executeApiCallWithFallback(urlPath, { skipCache: true, ...options, failoverOnServerError: false });
+    } catch (error) {
+      if (error.statusCode >= 500 && /not initialized|not installed|rados_connect|no such file/i.test(error.responseBody || '')) {
+        throw new Error(this.homey.__('error.ceph_not_configured'));
+      }
+      throw error;
+    }
+  }
+
+  async getCephFlags() {
+    const res = await this._cephApiCall('/api2/json/cluster/ceph/flags');
+    return new Set((res?.data || []).filter((f) => f.value === 1 || f.value === true).map((f) => f.name));
+  }
+
+  async _setCephFlag(flag, value) {
+    if (!CEPH_MAINTENANCE_FLAGS.includes(flag)) throw new Error(this.homey.__('error.invalid_ceph_flag', { s: flag }));
+    this.log(`${value ? 'Setting' : 'Unsetting'} Ceph flag ${flag}`);
+    await this._cephApiCall(`/api2/json/cluster/ceph/flags/${flag}`, {
+      method: 'PUT',
+      body: new URLSearchParams({ value: value ? '1' : '0' }).toString(),
+    });
+  }
+
+  async setCephFlag(args) {
+    await this._setCephFlag(args.flag, true);
+  }
+
+  async unsetCephFlag(args) {
+    await this._setCephFlag(args.flag, false);
+  }
+
+  async checkCephFlag(args) {
+    return (await this.getCephFlags()).has(args.flag);
+  }
+
+  // Clears the maintenance flags that are still set, resolves with the flags that were unset
+  async unsetCephMaintenanceFlags() {
+    const active = await this.getCephFlags();
+    const toUnset = CEPH_MAINTENANCE_FLAGS.filter((flag) => active.has(flag));
+    for (const flag of toUnset) {
+      await this._setCephFlag(flag, false);
+    }
+    return toUnset;
+  }
+
+  // === UPS (NUT) ===
+
+  async _configureUps(settings) {
+    const host = (settings.nut_host || '').trim();
+    this.nutClient = host ? new NutClient({
+      host,
+      port: parseInt(settings.nut_port, 10) || 3493,
+      ups: (settings.nut_ups || '').trim() || 'ups',
+      username: settings.nut_username,
+      password: settings.nut_password,
+    }) : null;
+
+    for (const id of UPS_CAPABILITIES) {
+      if (this.nutClient && !this.hasCapability(id)) await this.addCapability(id);
+      if (!this.nutClient && this.hasCapability(id)) await this.removeCapability(id);
+    }
+
+    this.stopUpsPolling();
+    if (!this.nutClient) return;
+
+    await this.updateUpsStatus();
+    this.upsIntervalId = this.homey.setInterval(() => {
+      this.updateUpsStatus().catch(this.error);
+    }, UPS_POLL_INTERVAL);
+  }
+
+  stopUpsPolling() {
+    if (this.upsIntervalId) {
+      this.homey.clearInterval(this.upsIntervalId);
+      this.upsIntervalId = null;
+    }
+  }
+
+  async updateUpsStatus() {
+    if (!this.nutClient) return;
+
+    let vars;
+    try {
+      vars = await this.nutClient.getVariables();
+    } catch (error) {
+      this.error('UPS status update failed:', error.message);
+      await this._updateCapability('status_ups', 'unknown');
+      return;
+    }
+
+    const flags = String(vars['ups.status'] || '').split(/\s+/);
+    let status = 'unknown';
+    if (flags.includes('OB')) status = flags.includes('LB') ? 'low_battery' : 'on_battery';
+    else if (flags.includes('OL')) status = 'online';
+
+    const battery = vars['battery.charge'] !== undefined ? parseFloat(vars['battery.charge']) : null;
+    const runtime = vars['battery.runtime'] !== undefined ? parseFloat((parseFloat(vars['battery.runtime']) / 60).toFixed(1)) : null;
+    const previous = this.getCapabilityValue('status_ups');
+
+    await this._updateCapability('status_ups', status);
+    await this._updateCapability('measure_ups_battery', battery);
+    await this._updateCapability('measure_ups_runtime', runtime);
+
+    const onBattery = status === 'on_battery' || status === 'low_battery';
+    const tokens = { battery: battery ?? 0, runtime: runtime ?? 0 };
+    if (onBattery && previous === 'online') {
+      this.log(`UPS switched to battery (${battery}%, ${runtime} min)`);
+      this._triggerFlow('ups_on_battery', tokens);
+    } else if (status === 'online' && (previous === 'on_battery' || previous === 'low_battery')) {
+      this.log('UPS power restored');
+      this.upsShutdownStarted = false;
+      this._triggerFlow('ups_power_restored', tokens);
+    }
+
+    // Shut down before the batteries run out: below the runtime threshold or when the UPS reports low battery
+    const threshold = parseFloat(this.getSetting('ups_shutdown_runtime')) || 0;
+    const critical = status === 'low_battery' || (runtime !== null && runtime < threshold);
+    if (threshold > 0 && onBattery && critical && !this.upsShutdownStarted) {
+      this.upsShutdownStarted = true;
+      this.log(`UPS runtime ${runtime} min below ${threshold} min, starting orderly cluster shutdown`);
+      this._triggerFlow('ups_shutdown_started', tokens);
+      // Takes over from a running cold start or rolling reboot; retried on the next UPS poll when it fails
+      this.orchestrator.shutdownCluster({ takeOver: true })
+        .catch((error) => {
+          this.error('UPS triggered shutdown failed:', error.message);
+          this.upsShutdownStarted = false;
+        });
+    }
+  }
+
+  async checkUpsOnBattery() {
+    const status = this.getCapabilityValue('status_ups');
+    return status === 'on_battery' || status === 'low_battery';
+  }
+
+  async shutdownCluster() {
+    return this.orchestrator.shutdownCluster();
+  }
+
+  async startCluster() {
+    return this.orchestrator.startCluster();
+  }
+
+  async rollingReboot() {
+    return this.orchestrator.rollingReboot();
+  }
+
+  // === BACKUP MONITORING ===
+
+  // Looks for finished vzdump tasks in /cluster/tasks and fires the backup triggers once per task
+  async _checkBackupTasks() {
+    const res = await this._executeApiCallWithFallback('/api2/json/cluster/tasks', { refreshCache: true });
+    if (!Array.isArray(res?.data)) return;
+
+    const finished = res.data
+      .filter((t) => t.type === 'vzdump' && t.endtime)
+      .sort((a, b) => a.endtime - b.endtime);
+    if (finished.length === 0) return;
+
+    // UPIDs we already reported, persisted so a restart doesn't replay old backups
+    const processed = this.getStoreValue('processed_backup_upids');
+    const processedSet = new Set(processed || []);
+    const newTasks = processed ? finished.filter((t) => !processedSet.has(t.upid)) : [];
+
+    for (const task of newTasks) {
+      const result = await this._getBackupResult(task);
+      this.log(`Backup task on ${task.node} finished: ${task.status} (guests: ${result.guests || '-'})`);
+
+      this._triggerFlow('backup_finished', {
+        node: task.node,
+        guests: result.guests,
+        duration: result.duration,
+        status: task.status || '',
+      });
+      if (!result.success) {
+        this._triggerFlow('backup_failed', {
+          node: task.node,
+          guests: result.guests,
+          duration: result.duration,
+          error: result.error,
+        });
+      }
+    }
+
+    const last = finished[finished.length - 1];
+    // A backup with warnings still succeeded, show 'WARNINGS: n' as is
+    await this._updateCapability('status_last_backup', this._isTaskSuccessful(last.status) ? last.status : `${this.homey.__('status.failed')}: ${last.status}`);
+    await this._updateCapability('status_last_backup_time', this._formatTimestamp(last.endtime));
+
+    // Keep the list bounded to what /cluster/tasks can still return
+    await this.setStoreValue('processed_backup_upids', finished.map((t) => t.upid).slice(-100)).catch(this.error);
+  }
+
+  async _getBackupResult(task) {
+    const result = {
+      success: this._isTaskSuccessful(task.status),
+      duration: task.starttime ? task.endtime - task.starttime : 0,
+      guests: task.id || '',
+      error: this._isTaskSuccessful(task.status) ? '' : (task.status || ''),
+    };
+
+    // Jobs for multiple guests have no id, the guests and error details are only in the task log
+    if (!task.id || !result.success) {
+      try {
+        const log = await this.getTaskLog(task.upid, 0);
+        if (!task.id) {
+          const vmids = log.map((line) => line.match(/Starting Backup of VM (\d+)/)).filter(Boolean).map((m) => m[1]);
+          result.guests = [...new Set(vmids)].join(', ');
+        }
+        if (!result.success) {
+          const errors = log.filter((line) => line.includes('ERROR:'));
+          if (errors.length > 0) result.error = `${task.status}: ${errors.slice(-5).join('\n')}`;
+        }
+      } catch (e) {
+        this.error(`Could not read log of backup task ${task.upid}:`, e.message);
+      }
+    }
+    return result;
+  }
+
+  // Diffs the guests in this /cluster/resources snapshot against the previous poll and fires the guest triggers
+  _processGuestStateChanges(resources) {
+    const newStates = new Map();
+    resources
+      .filter((r) => r.type === 'qemu' || r.type === 'lxc')
+      .forEach((r) => newStates.set(r.vmid, {
+        status: r.status || 'unknown', name: r.name || '', type: r.type, node: r.node || '',
+      }));
+
+    const previousStates = this.guestStates;
+    this.guestStates = newStates;
+
+    // The first snapshot after startup is only a baseline
+    if (!previousStates) return;
+
+    for (const [vmid, current] of newStates) {
+      const previous = previousStates.get(vmid);
+      if (!previous || previous.status === current.status) continue;
+
+      const tokens = {
+        vmid,
+        name: current.name,
+        type: current.type,
+        node: current.node,
+        old_status: previous.status,
+        new_status: current.status,
+      };
+      this.log(`Guest ${current.type} ${vmid} changed state: ${previous.status} -> ${current.status}`);
+
+      this._triggerFlow('guest_state_changed', tokens);
+      if (current.status === 'running') this._triggerFlow('guest_started', tokens);
+      if (current.status === 'stopped' && previous.status === 'running') this._triggerFlow('guest_stopped', tokens);
+    }
+  }
+
   async _updateConnectionCapabilities(currentHost, isFallback) {
     const isUsingFallback = (currentHost !== this.hostManager.primaryHost);
     await this._updateCapability('alarm_connection_fallback', isUsingFallback);
@@ -391,6 +866,16 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
     }
   }
 
+  _triggerFlow(cardId, tokens, state = {}) {
+    this.homey.flow.getDeviceTriggerCard(cardId).trigger(this, tokens, state)
+      .catch((e) => this.error(`Failed to trigger ${cardId}:`, e));
+  }
+
+  // Formats a unix timestamp (seconds) in Homey's timezone and language
+  _formatTimestamp(ts) {
+    return new Date(ts * 1000).toLocaleString(this.homey.i18n.getLanguage(), { timeZone: this.homey.clock.getTimezone() });
+  }
+
   _getCachedResponse(key) {
     const entry = this.requestCache.get(key);
     if (entry && Date.now() - entry.ts < this.cacheTimeout) return entry.data;
@@ -414,6 +899,10 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
     this.activeTimeouts.clear();
   }
 
+  _delay(ms) {
+    return new Promise((resolve) => this.homey.setTimeout(resolve, ms));
+  }
+
   // === DRIVER API METHODS (Called by Driver.js) ===
 
   async getAutocompleteResults(query) {
@@ -438,20 +927,520 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
     return results;
   }
 
-  async executeVmAction(args, action) {
+  async executeVmAction(args, action, options = {}) {
     const { vmid, type } = args.target_vm.id;
     if (!vmid || !type) throw new Error(this.homey.__('error.invalid_target'));
 
+    const actionDef = GUEST_ACTIONS[action];
+    if (!actionDef || !actionDef.types.includes(type)) {
+      throw new Error(this.homey.__('error.action_not_supported', { s: action, s2: type }));
+    }
+
     this.log(this.homey.__('driver.action_log', { s: action, s2: type, s3: vmid }));
 
+    // The HA manager would undo a direct start/stop, let it do the work instead
+    const haResource = await this._getHaResource(vmid, type);
+    if (haResource && actionDef.haState) {
+      return this._setHaState(haResource, vmid, type, actionDef.haState, options);
+    }
+    const haState = haResource?.state || '';
+
     // Find Node for VM
     const node = await this._findNodeForVm(vmid, type);
-    const endpoint = `/api2/json/nodes/${node}/${type}/${vmid}/status/${action}`;
+    const endpoint = `/api2/json/nodes/${node}/${type}/${vmid}/status/${actionDef.endpoint}`;
+
+    // Extra parameters, e.g. force for stop or to-disk for hibernate, plus any passed by the caller
+    const params = { ...actionDef.body, ...options.params };
+    const body = Object.keys(params).length > 0 ? new URLSearchParams(params).toString() : null;
+
+    const res = await this._executeApiCallWithFallback(endpoint, { method: 'POST', body });
+
+    // Proxmox answers with a task UPID; the action is only done once that task has stopped
+    const upid = res?.data;
+    if (options.waitForTask === false || typeof upid !== 'string') {
+      return { ...this._getTaskTokens({ upid: upid || '' }), ha_state: haState };
+    }
+    const task = await this.waitForTask(upid, { timeout: options.taskTimeout });
+    return { ...this._getTaskTokens(task), ha_state: haState };
+  }
+
+  // Graceful shutdown that lets Proxmox force a stop after `timeout` seconds, then confirms the guest is stopped
+  async shutdownVmWithFallback(args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const timeout = parseInt(args.timeout, 10);
+    if (!(timeout > 0)) throw new Error(this.homey.__('error.invalid_timeout'));
+
+    // HA would start the guest again, let it shut the guest down instead (it won't force a stop after our timeout)
+    const haResource = await this._getHaResource(vmid, type);
+    if (haResource) {
+      return this._setHaState(haResource, vmid, type, 'stopped', { taskTimeout: (timeout + 120) * 1000 });
+    }
+
+    this.log(`Shutting down ${type} ${vmid}, force stop after ${timeout}s`);
+    const node = await this._findNodeForVm(vmid, type);
+    const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/status/shutdown`, {
+      method: 'POST',
+      body: new URLSearchParams({ timeout: String(timeout), forceStop: '1' }).toString(),
+    });
+
+    // The task covers the graceful attempt plus the forced stop, allow some margin on top of the timeout
+    const task = await this.waitForTask(res?.data, { timeout: (timeout + 120) * 1000 });
+
+    // Guests without an agent may ignore ACPI, only report success once Proxmox sees the guest as stopped
+    await this.waitForGuestStatus(node, type, vmid, 'stopped');
+    return { ...this._getTaskTokens(task), ha_state: '' };
+  }
+
+  // Polls status/current until the guest reports the expected status
+  async waitForGuestStatus(node, type, vmid, expectedStatus, options = {}) {
+    const timeout = options.timeout || 60 * 1000;
+    const pollInterval = options.pollInterval || 2000;
+    const startTime = Date.now();
+    let lastStatus = 'unknown';
+
+    while (Date.now() - startTime < timeout) {
+      const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/status/current`, { skipCache: true })
+        .catch(() => null);
+      lastStatus = res?.data?.status || lastStatus;
+      if (lastStatus === expectedStatus) return;
+      await this._delay(pollInterval);
+    }
+
+    throw new Error(this.homey.__('error.guest_status_timeout', { s: vmid, s2: expectedStatus, s3: lastStatus }));
+  }
+
+  // === HIGH AVAILABILITY ===
+
+  // LRM entries only carry a text status ("pve1 (active, Mon Oct 13 10:12:01 2025)"),
+  // the manager status has the structured state per node
+  _getLrmState(lrm, managerStatus) {
+    const state = managerStatus?.lrm_status?.[lrm.node]?.state;
+    if (state) return state;
+    return String(lrm.status || '').match(/\(([^,)]+)/)?.[1] || '?';
+  }
+
+  startHaPolling() {
+    this.stopHaPolling();
+    this._updateHaStatus().catch((e) => this.error('HA status check failed:', e.message));
+    this.haIntervalId = this.homey.setInterval(() => {
+      this._updateHaStatus().catch((e) => this.error('HA status check failed:', e.message));
+    }, HA_POLL_INTERVAL);
+  }
+
+  stopHaPolling() {
+    if (this.haIntervalId) {
+      this.homey.clearInterval(this.haIntervalId);
+      this.haIntervalId = null;
+    }
+  }
+
+  async _updateHaStatus() {
+    const [currentRes, managerRes] = await Promise.all([
+      this._executeApiCallWithFallback('/api2/json/cluster/ha/status/current', { refreshCache: true }),
+      this._executeApiCallWithFallback('/api2/json/cluster/ha/status/manager_status', { refreshCache: true }).catch(() => null),
+    ]);
+    const entries = Array.isArray(currentRes?.data) ? currentRes.data : [];
+    const lrms = entries.filter((e) => e.type === 'lrm');
+    const services = entries.filter((e) => e.type === 'service');
+
+    // Without resources or LRMs the HA stack is unused, don't clutter the device
+    const inUse = lrms.length > 0 || services.length > 0;
+    for (const id of HA_CAPABILITIES) {
+      if (inUse && !this.hasCapability(id)) await this.addCapability(id);
+      if (!inUse && this.hasCapability(id)) await this.removeCapability(id);
+    }
+    if (!inUse) return;
+
+    const master = entries.find((e) => e.type === 'master');
+    await this._updateCapability('status_ha_master', master?.node || '-');
+    await this._updateCapability('status_ha_lrm', lrms.map((l) => `${l.node}: ${this._getLrmState(l, managerRes?.data)}`).join(', ') || '-');
+
+    const counts = {};
+    services.forEach((svc) => {
+      counts[svc.state] = (counts[svc.state] || 0) + 1;
+    });
+    await this._updateCapability('status_ha_resources', Object.entries(counts).map(([state, n]) => `${n} ${state}`).join(', ') || '-');
+
+    this._processHaResourceChanges(services);
+    this._processHaNodeChanges(managerRes?.data?.manager_status?.node_status || {});
+  }
+
+  _processHaResourceChanges(services) {
+    const newStates = new Map(services.map((svc) => [svc.sid, { state: svc.state || 'unknown', node: svc.node || '' }]));
+    const previousStates = this.haStates;
+    this.haStates = newStates;
+    if (!previousStates) return;
+
+    for (const [sid, current] of newStates) {
+      const previous = previousStates.get(sid);
+      if (!previous || previous.state === current.state) continue;
+
+      const tokens = {
+        sid,
+        vmid: parseInt(sid.split(':')[1], 10) || 0,
+        node: current.node,
+        old_state: previous.state,
+        new_state: current.state,
+      };
+      this.log(`HA resource ${sid} changed state: ${previous.state} -> ${current.state} on ${current.node}`);
+      this._triggerFlow('ha_resource_state_changed', tokens);
+      if (HA_PROBLEM_STATES.includes(current.state)) this._triggerFlow('ha_resource_problem', tokens);
+    }
+  }
+
+  _processHaNodeChanges(nodeStatus) {
+    const previousStates = this.haNodeStates;
+    this.haNodeStates = { ...nodeStatus };
+    if (!previousStates) return;
+
+    for (const [node, state] of Object.entries(nodeStatus)) {
+      if (state === 'fence' && previousStates[node] !== 'fence') {
+        this.log(`HA manager is fencing node ${node}`);
+        this._triggerFlow('ha_node_fenced', { node, old_state: previousStates[node] || 'unknown' });
+      }
+    }
+  }
+
+  // Live HA state of one guest for the condition card, 'none' matches guests that are not HA managed
+  async checkHaResourceState(args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const resource = await this._getHaResource(vmid, type);
+    if (!resource) return args.state === 'none';
+
+    const res = await this._executeApiCallWithFallback('/api2/json/cluster/ha/status/current', { skipCache: true });
+    const service = (res?.data || []).find((e) => e.type === 'service' && e.sid === resource.sid);
+    return (service?.state || resource.state) === args.state;
+  }
+
+  // HA resource of a guest ('vm:100' / 'ct:101'), null when the guest is not HA managed or HA can't be read
+  async _getHaResource(vmid, type) {
+    const sid = `${type === 'lxc' ? 'ct' : 'vm'}:${vmid}`;
+    try {
+      const res = await this._executeApiCallWithFallback('/api2/json/cluster/ha/resources', { skipCache: true });
+      return (res?.data || []).find((r) => r.sid === sid) || null;
+    } catch (error) {
+      this.error('Could not read HA resources:', error.message);
+      return null;
+    }
+  }
+
+  // Sets the HA requested state and waits for the guest to follow, HA runs the actual task itself
+  async _setHaState(haResource, vmid, type, state, options = {}) {
+    this.log(`Setting HA state of ${haResource.sid} to ${state}`);
+    const startTime = Date.now();
+    await this._executeApiCallWithFallback(`/api2/json/cluster/ha/resources/${encodeURIComponent(haResource.sid)}`, {
+      method: 'PUT',
+      body: new URLSearchParams({ state }).toString(),
+    });
+
+    if (options.waitForTask !== false) {
+      // Guests can move while HA handles them, so look the node up again
+      const node = await this._findNodeForVm(vmid, type);
+      await this.waitForGuestStatus(node, type, vmid, state === 'started' ? 'running' : 'stopped', {
+        timeout: options.taskTimeout || 10 * 60 * 1000,
+        pollInterval: 5000,
+      });
+    }
+
+    return {
+      ...this._getTaskTokens({ exitStatus: 'OK', duration: Math.round((Date.now() - startTime) / 1000) }),
+      ha_state: state,
+    };
+  }
+
+  // === SNAPSHOTS ===
+
+  async createSnapshot(args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const node = await this._findNodeForVm(vmid, type);
+    const snapname = this._buildSnapshotName(args.name_template, vmid);
+
+    const params = new URLSearchParams({ snapname, description: `${HOMEY_SNAPSHOT_MARKER} Created by Homey` });
+    // Only QEMU guests can store their RAM state in a snapshot
+    if (args.vmstate === true && type === 'qemu') params.set('vmstate', '1');
+
+    this.log(`Creating snapshot ${snapname} of ${type} ${vmid}`);
+    const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/snapshot`, {
+      method: 'POST',
+      body: params.toString(),
+    });
+    const task = await this.waitForTask(res?.data, { timeout: 30 * 60 * 1000 });
+
+    const keepLast = parseInt(args.keep_last, 10) || 0;
+    const pruned = keepLast > 0 ? await this._pruneSnapshots(node, type, vmid, keepLast) : 0;
+
+    return { ...this._getTaskTokens(task), snapshot: snapname, pruned };
+  }
+
+  async rollbackSnapshot(args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const snapname = this._getSnapshotFromArgs(args);
+    const node = await this._findNodeForVm(vmid, type);
+
+    this.log(`Rolling back ${type} ${vmid} to snapshot ${snapname}`);
+    const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/snapshot/${encodeURIComponent(snapname)}/rollback`, {
+      method: 'POST',
+    });
+    const task = await this.waitForTask(res?.data, { timeout: 30 * 60 * 1000 });
+    return this._getTaskTokens(task);
+  }
+
+  async deleteSnapshot(args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const snapname = this._getSnapshotFromArgs(args);
+    const node = await this._findNodeForVm(vmid, type);
+
+    const task = await this._deleteSnapshot(node, type, vmid, snapname);
+    return this._getTaskTokens(task);
+  }
+
+  async _deleteSnapshot(node, type, vmid, snapname) {
+    this.log(`Deleting snapshot ${snapname} of ${type} ${vmid}`);
+    const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/snapshot/${encodeURIComponent(snapname)}`, {
+      method: 'DELETE',
+    });
+    return this.waitForTask(res?.data, { timeout: 30 * 60 * 1000 });
+  }
+
+  async _getSnapshots(node, type, vmid) {
+    const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/snapshot`, { skipCache: true });
+    // 'current' is the live state, not a snapshot
+    return (res?.data || []).filter((snap) => snap.name !== 'current');
+  }
+
+  // Deletes the oldest Homey-created snapshots until only `keepLast` remain, one at a time (Proxmox locks the guest)
+  async _pruneSnapshots(node, type, vmid, keepLast) {
+    const homeySnapshots = (await this._getSnapshots(node, type, vmid))
+      .filter((snap) => (snap.description || '').includes(HOMEY_SNAPSHOT_MARKER))
+      .sort((a, b) => (b.snaptime || 0) - (a.snaptime || 0));
 
-    // Custom body for stop (force)
-    const body = (action === 'stop') ? 'overrule-shutdown=1' : null; // Client handles string/object conversion
+    let pruned = 0;
+    for (const snap of homeySnapshots.slice(keepLast)) {
+      await this._deleteSnapshot(node, type, vmid, snap.name);
+      pruned++;
+    }
+    return pruned;
+  }
 
-    await this._executeApiCallWithFallback(endpoint, { method: 'POST', body });
+  async getSnapshotAutocompleteResults(query, args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const node = await this._findNodeForVm(vmid, type);
+    const q = (query || '').toLowerCase();
+
+    return (await this._getSnapshots(node, type, vmid))
+      .filter((snap) => snap.name.toLowerCase().includes(q))
+      .sort((a, b) => (b.snaptime || 0) - (a.snaptime || 0))
+      .map((snap) => ({
+        name: snap.name,
+        description: snap.snaptime ? this._formatTimestamp(snap.snaptime) : (snap.description || ''),
+        id: snap.name,
+      }));
+  }
+
+  // Fills in the name template and makes it a valid Proxmox snapshot name ([A-Za-z][A-Za-z0-9_-]*, max 40 chars)
+  _buildSnapshotName(template, vmid) {
+    const parts = {};
+    const dateFormat = new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.homey.clock.getTimezone(),
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    });
+    for (const part of dateFormat.formatToParts(new Date())) {
+      parts[part.type] = part.value;
+    }
+    const date = `${parts.year}${parts.month}${parts.day}_${parts.hour}${parts.minute}${parts.second}`;
+
+    let name = (template || 'homey_{date}')
+      .replace(/\{date\}/g, date)
+      .replace(/\{vmid\}/g, String(vmid))
+      .replace(/[^A-Za-z0-9_-]/g, '_');
+    if (!/^[A-Za-z]/.test(name)) name = `homey_${name}`;
+    return name.substring(0, 40);
+  }
+
+  // === ON-DEMAND BACKUP ===
+
+  async backupVm(args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const storage = args.storage?.id || args.storage?.name;
+    if (!storage) throw new Error(this.homey.__('error.invalid_storage'));
+
+    const node = await this._findNodeForVm(vmid, type);
+    const params = new URLSearchParams({
+      vmid: String(vmid),
+      storage,
+      mode: args.mode || 'snapshot',
+      compress: args.compress || 'zstd',
+    });
+
+    this.log(`Starting backup of ${type} ${vmid} to ${storage} (${params.get('mode')}, ${params.get('compress')})`);
+    const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${node}/vzdump`, {
+      method: 'POST',
+      body: params.toString(),
+    });
+
+    // Large guests can take hours to back up
+    const task = await this.waitForTask(res?.data, { timeout: 6 * 60 * 60 * 1000, pollInterval: 10000 });
+    const archive = this._parseBackupArchive(await this.getTaskLog(task.upid, 0).catch(() => task.log));
+
+    return { ...this._getTaskTokens(task), ...archive };
+  }
+
+  // Pulls the archive name and size out of a vzdump task log
+  _parseBackupArchive(log) {
+    let archive = '';
+    let size = '';
+    for (const line of log) {
+      // File based storages: "creating vzdump archive '/path/vzdump-qemu-100-....vma.zst'"
+      // Proxmox Backup Server: "creating Proxmox Backup Server archive 'vm/100/2024-01-01T02:00:00Z'"
+      const archiveMatch = line.match(/creating (?:vzdump|Proxmox Backup Server) archive '([^']+)'/);
+      if (archiveMatch) archive = archiveMatch[1];
+
+      const sizeMatch = line.match(/archive file size: (\S+)/) || line.match(/transferred (\S+ \S+) in/);
+      if (sizeMatch) size = sizeMatch[1];
+    }
+    return { archive, size };
+  }
+
+  async getBackupStorageAutocompleteResults(query, args) {
+    const res = await this._executeApiCallWithFallback('/api2/json/cluster/resources');
+    if (!Array.isArray(res?.data)) return [];
+
+    // Node-local storages only work when they are on the guest's node
+    let guestNode = null;
+    if (args?.target_vm?.id?.vmid) {
+      guestNode = await this._findNodeForVm(args.target_vm.id.vmid, args.target_vm.id.type, { useCache: true }).catch(() => null);
+    }
+
+    const q = (query || '').toLowerCase();
+    const storages = new Map();
+    res.data
+      .filter((r) => r.type === 'storage' && (r.content || '').split(',').includes('backup'))
+      .filter((r) => r.shared === 1 || !guestNode || r.node === guestNode)
+      .filter((r) => r.storage.toLowerCase().includes(q))
+      .forEach((r) => {
+        if (!storages.has(r.storage)) {
+          storages.set(r.storage, {
+            name: r.storage,
+            description: r.shared === 1 ? `${r.plugintype || ''} (shared)` : `${r.plugintype || ''} (${r.node})`,
+            id: r.storage,
+          });
+        }
+      });
+    return [...storages.values()];
+  }
+
+  // === MIGRATION ===
+
+  async migrateVm(args) {
+    const { vmid, type } = this._getTargetFromArgs(args);
+    const targetNode = args.target_node?.id || args.target_node?.name;
+    if (!targetNode) throw new Error(this.homey.__('error.invalid_node'));
+
+    const guest = await this._findGuestResource(vmid, type);
+    if (guest.node === targetNode) throw new Error(this.homey.__('error.already_on_node', { s: vmid, s2: targetNode }));
+
+    // Running VMs are live migrated, running containers can only be moved with a restart
+    const params = new URLSearchParams({ target: targetNode });
+    if (guest.status === 'running') {
+      if (type === 'qemu') {
+        params.set('online', '1');
+        // Local disks have to be copied along, only ask for that when the VM has them
+        const precondition = await this._executeApiCallWithFallback(`/api2/json/nodes/${guest.node}/qemu/${vmid}/migrate`, {
+          skipCache: true,
+          failoverOnServerError: false,
+        });
+        if (precondition?.data?.local_disks?.length > 0) params.set('with-local-disks', '1');
+      } else {
+        params.set('restart', '1');
+      }
+    }
+
+    this.log(`Migrating ${type} ${vmid} from ${guest.node} to ${targetNode}`);
+    const startTime = Date.now();
+    const haResource = await this._getHaResource(vmid, type);
+    const res = await this._executeApiCallWithFallback(`/api2/json/nodes/${guest.node}/${type}/${vmid}/migrate`, {
+      method: 'POST',
+      body: params.toString(),
+    });
+    const task = await this.waitForTask(res?.data, { timeout: 2 * 60 * 60 * 1000, pollInterval: 5000 });
+
+    // For HA managed guests this was only the 'hamigrate' task queueing the migration, wait for the guest to arrive
+    if (haResource) {
+      await this.waitForGuestNode(vmid, type, targetNode, { timeout: 2 * 60 * 60 * 1000 });
+      return { ...this._getTaskTokens(task), duration: Math.round((Date.now() - startTime) / 1000) };
+    }
+    return this._getTaskTokens(task);
+  }
+
+  // Polls /cluster/resources until the guest is listed on the expected node
+  async waitForGuestNode(vmid, type, expectedNode, options = {}) {
+    const timeout = options.timeout || 10 * 60 * 1000;
+    const pollInterval = options.pollInterval || 5000;
+    const startTime = Date.now();
+    let lastNode = 'unknown';
+
+    while (Date.now() - startTime < timeout) {
+      const node = await this._findNodeForVm(vmid, type).catch(() => null);
+      if (node === expectedNode) return;
+      lastNode = node || lastNode;
+      await this._delay(pollInterval);
+    }
+
+    throw new Error(this.homey.__('error.guest_node_timeout', { s: vmid, s2: expectedNode, s3: lastNode }));
+  }
+
+  // Online nodes from /cluster/status, optionally without the node being evacuated
+  async getNodeAutocompleteResults(query, exclude = null) {
+    const res = await this._executeApiCallWithFallback('/api2/json/cluster/status', { skipCache: true });
+    const q = (query || '').toLowerCase();
+    return (res?.data || [])
+      .filter((n) => n.type === 'node' && n.online === 1 && n.name !== exclude && n.name.toLowerCase().includes(q))
+      .map((n) => ({ name: n.name, description: n.ip || '', id: n.name }));
+  }
+
+  // Online flag of a node according to the cluster (an unreachable API counts as offline)
+  async isNodeOnline(nodeName) {
+    try {
+      const res = await this._executeApiCallWithFallback('/api2/json/cluster/status', { skipCache: true, timeout: 5000 });
+      const entry = (res?.data || []).find((n) => n.type === 'node' && n.name === nodeName);
+      return entry?.online === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Polls the cluster status until the node reaches the expected online state, resolves with the seconds waited
+  async waitForNodeState(nodeName, online, options = {}) {
+    const timeout = options.timeout || 10 * 60 * 1000;
+    const pollInterval = options.pollInterval || 5000;
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      if (await this.isNodeOnline(nodeName) === online) {
+        return Math.round((Date.now() - startTime) / 1000);
+      }
+      await this._delay(pollInterval);
+    }
+
+    throw new Error(this.homey.__(online ? 'error.node_online_timeout' : 'error.node_offline_timeout', { s: nodeName }));
+  }
+
+  _getTargetFromArgs(args) {
+    const { vmid, type } = args.target_vm?.id || {};
+    if (!vmid || !type) throw new Error(this.homey.__('error.invalid_target'));
+    return { vmid, type };
+  }
+
+  _getSnapshotFromArgs(args) {
+    const snapname = args.snapshot?.id || args.snapshot?.name;
+    if (!snapname) throw new Error(this.homey.__('error.invalid_snapshot'));
+    return snapname;
   }
 
   async checkVmStatus(args) {
@@ -465,14 +1454,103 @@ module.exports = class ProxmoxClusterDevice extends Homey.Device {
     return res?.data?.status === 'running';
   }
 
-  async _findNodeForVm(vmid, type) {
+  // === TASK TRACKING ===
+
+  // Polls /nodes/{node}/tasks/{upid}/status until the task has stopped.
+  // Resolves with a task summary, rejects when the exit status is not OK or the task takes too long.
+  // 'WARNINGS: n' means the task did its job but logged warnings (common for vzdump and migrations),
+  // the exit_status token still carries the text
+  _isTaskSuccessful(exitStatus) {
+    return exitStatus === 'OK' || /^WARNINGS/.test(exitStatus || '');
+  }
+
+  async waitForTask(upid, options = {}) {
+    const node = this._getNodeFromUpid(upid);
+    const timeout = options.timeout || 10 * 60 * 1000; // 10 minutes
+    const pollInterval = options.pollInterval || 2000;
+    const statusPath = `/api2/json/nodes/${node}/tasks/${encodeURIComponent(upid)}/status`;
+    const startTime = Date.now();
+    let consecutiveErrors = 0;
+
+    while (Date.now() - startTime < timeout) {
+      try {
+        const res = await this._executeApiCallWithFallback(statusPath, { skipCache: true });
+        consecutiveErrors = 0;
+
+        if (res?.data?.status === 'stopped') {
+          const task = {
+            upid,
+            node,
+            exitStatus: res.data.exitstatus || 'unknown',
+            duration: Math.round((Date.now() - startTime) / 1000),
+            log: await this.getTaskLog(upid, options.logLines || 10).catch(() => []),
+          };
+
+          if (!this._isTaskSuccessful(task.exitStatus)) {
+            const error = new Error(this.homey.__('error.task_failed', { s: task.exitStatus, s2: task.log.slice(-1)[0] || upid }));
+            error.task = task;
+            throw error;
+          }
+          return task;
+        }
+      } catch (error) {
+        if (error.task) throw error;
+        // Tolerate short hiccups (e.g. failover to another host) while the task is running
+        consecutiveErrors++;
+        if (consecutiveErrors >= 3) throw error;
+      }
+
+      await this._delay(pollInterval);
+    }
+
+    throw new Error(this.homey.__('error.task_timeout', { s: upid }));
+  }
+
+  // Returns the last `lines` lines of a task log (0 returns the full log)
+  async getTaskLog(upid, lines = 10) {
+    const node = this._getNodeFromUpid(upid);
+    const logPath = `/api2/json/nodes/${node}/tasks/${encodeURIComponent(upid)}/log`;
+
+    // The log endpoint reports the total line count, fetch only the tail we need
+    const head = await this._executeApiCallWithFallback(`${logPath}?start=0&limit=1`, { skipCache: true });
+    const total = head?.total || 0;
+    const start = lines > 0 ? Math.max(0, total - lines) : 0;
+
+    const res = await this._executeApiCallWithFallback(`${logPath}?start=${start}&limit=${Math.max(total, 1)}`, { skipCache: true });
+    return Array.isArray(res?.data) ? res.data.map((l) => l.t) : [];
+  }
+
+  // UPID format: UPID:{node}:{pid}:{pstart}:{starttime}:{type}:{id}:{user}:
+  _getNodeFromUpid(upid) {
+    const parts = typeof upid === 'string' ? upid.split(':') : [];
+    if (parts[0] !== 'UPID' || !parts[1]) throw new Error(this.homey.__('error.invalid_upid', { s: upid }));
+    return parts[1];
+  }
+
+  // Maps a task summary to the flow tokens shared by all task based action cards
+  _getTaskTokens(task) {
+    return {
+      upid: task.upid || '',
+      duration: task.duration || 0,
+      exit_status: task.exitStatus || '',
+      task_log: (task.log || []).join('\n'),
+    };
+  }
+
+  async _findNodeForVm(vmid, type, options = {}) {
+    const target = await this._findGuestResource(vmid, type, options);
+    return target.node;
+  }
+
+  // Returns the /cluster/resources entry of a guest (node, status, name, ...)
+  async _findGuestResource(vmid, type, options = {}) {
     // Also skip cache here to handle migrations correctly?
     // Resources call is heavy, but if we don't, checkVmStatus might fail if node migrated recently.
-    // Given flow runs are user-triggered, safety first.
-    const res = await this._executeApiCallWithFallback('/api2/json/cluster/resources', { skipCache: true });
+    // Given flow runs are user-triggered, safety first. Polling guest devices may opt in to the cache.
+    const res = await this._executeApiCallWithFallback('/api2/json/cluster/resources', options.useCache ? {} : { skipCache: true });
     const target = res?.data?.find((r) => r.vmid == vmid && r.type == type); // loose equality just in case of string/int mismatch
     if (!target || !target.node) throw new Error(this.homey.__('error.vm_not_found', { s: vmid }));
-    return target.node;
+    return target;
   }
 
 };
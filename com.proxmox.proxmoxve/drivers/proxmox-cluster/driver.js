@@ -159,18 +159,23 @@ module.exports = class ProxmoxClusterDriver extends Homey.Driver {
     this.log(this.homey.__('driver.registering_flow_cards'));
     try {
       // Helper to register listeners for a card
-      const registerCard = (type, id, runListener, autocompleteListener = null) => {
+      const registerCard = (type, id, runListener, autocompleteListener = null, extraAutocompletes = {}) => {
         const card = this.homey.flow[`get${type}Card`](id);
         if (card) {
           // Run listeners are registered on the driver, handler receives args.device
           if (runListener) card.registerRunListener(runListener.bind(this));
-          const arg = card.getArgument('target_vm');
+          // Only look up target_vm for cards that use it, getArgument throws for unknown arguments
+          const arg = autocompleteListener ? card.getArgument('target_vm') : null;
           if (arg && autocompleteListener) {
             // Autocomplete listener registered on driver, handler needs context
             arg.registerAutocompleteListener(autocompleteListener.bind(this));
           } else if (autocompleteListener && !arg) {
             this.error(this.homey.__('driver.missing_arg', { s: id }));
           }
+          // Autocompletes for other arguments (e.g. snapshot) by argument name
+          for (const [argName, listener] of Object.entries(extraAutocompletes)) {
+            card.getArgument(argName).registerAutocompleteListener(listener.bind(this));
+          }
           this.log(this.homey.__('driver.flow_card_registered', { s: type.toLowerCase(), s2: id }));
         } else {
           this.error(this.homey.__('driver.flow_card_not_found', { s: type.toLowerCase(), s2: id }));
@@ -181,7 +186,31 @@ module.exports = class ProxmoxClusterDriver extends Homey.Driver {
       registerCard('Action', 'start_vm', this.onFlowActionStartVm, this.handleFlowArgumentAutocomplete);
       registerCard('Action', 'stop_vm', this.onFlowActionStopVm, this.handleFlowArgumentAutocomplete);
       registerCard('Action', 'shutdown_vm', this.onFlowActionShutdownVm, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'shutdown_vm_force', this.onFlowActionShutdownVmForce, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'reboot_vm', this.onFlowActionRebootVm, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'reset_vm', this.onFlowActionResetVm, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'suspend_vm', this.onFlowActionSuspendVm, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'resume_vm', this.onFlowActionResumeVm, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'hibernate_vm', this.onFlowActionHibernateVm, this.handleFlowArgumentAutocomplete);
       registerCard('Condition', 'vm_is_running', this.onFlowConditionIsRunning, this.handleFlowArgumentAutocomplete);
+      registerCard('Condition', 'cluster_is_quorate', this.onFlowConditionIsQuorate);
+      registerCard('Condition', 'ups_is_on_battery', this.onFlowConditionUpsOnBattery);
+      registerCard('Condition', 'ceph_flag_is_set', this.onFlowConditionCephFlag);
+      registerCard('Action', 'set_ceph_flag', this.onFlowActionSetCephFlag);
+      registerCard('Action', 'unset_ceph_flag', this.onFlowActionUnsetCephFlag);
+      registerCard('Condition', 'ha_resource_state_is', this.onFlowConditionHaResourceState, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'shutdown_cluster', this.onFlowActionShutdownCluster);
+      registerCard('Action', 'start_cluster', this.onFlowActionStartCluster);
+      registerCard('Action', 'rolling_reboot', this.onFlowActionRollingReboot);
+      registerCard('Action', 'create_snapshot', this.onFlowActionCreateSnapshot, this.handleFlowArgumentAutocomplete);
+      registerCard('Action', 'rollback_snapshot', this.onFlowActionRollbackSnapshot, this.handleFlowArgumentAutocomplete,
+        { snapshot: this.handleSnapshotAutocomplete });
+      registerCard('Action', 'delete_snapshot', this.onFlowActionDeleteSnapshot, this.handleFlowArgumentAutocomplete,
+        { snapshot: this.handleSnapshotAutocomplete });
+      registerCard('Action', 'backup_vm', this.onFlowActionBackupVm, this.handleFlowArgumentAutocomplete,
+        { storage: this.handleBackupStorageAutocomplete });
+      registerCard('Action', 'migrate_vm', this.onFlowActionMigrateVm, this.handleFlowArgumentAutocomplete,
+        { target_node: this.handleNodeAutocomplete });
 
     } catch (error) {
       this.error(this.homey.__('driver.critical_error_flow'), error);
@@ -226,9 +255,45 @@ module.exports = class ProxmoxClusterDriver extends Homey.Driver {
     return results;
   }
 
+  // Autocomplete handler for the snapshots of the guest selected in target_vm
+  async handleSnapshotAutocomplete(query, args) {
+    const clusterDevice = args?.device;
+    if (!clusterDevice || !args.target_vm) return [];
+    try {
+      return await clusterDevice.getSnapshotAutocompleteResults(query, args);
+    } catch (error) {
+      this.error(`Snapshot autocomplete error for [${clusterDevice.getName()}]:`, error.message);
+      return [];
+    }
+  }
+
+  // Autocomplete handler for storages that can hold backups
+  async handleBackupStorageAutocomplete(query, args) {
+    const clusterDevice = args?.device;
+    if (!clusterDevice) return [];
+    try {
+      return await clusterDevice.getBackupStorageAutocompleteResults(query, args);
+    } catch (error) {
+      this.error(`Storage autocomplete error for [${clusterDevice.getName()}]:`, error.message);
+      return [];
+    }
+  }
+
+  // Autocomplete handler for online migration target nodes
+  async handleNodeAutocomplete(query, args) {
+    const clusterDevice = args?.device;
+    if (!clusterDevice) return [];
+    try {
+      return await clusterDevice.getNodeAutocompleteResults(query);
+    } catch (error) {
+      this.error(`Node autocomplete error for [${clusterDevice.getName()}]:`, error.message);
+      return [];
+    }
+  }
+
   // --- Flow Run/Condition Listeners (Delegate to the specific device instance) ---
 
-  // Generic handler for start/stop/shutdown actions
+  // Generic handler for the guest power actions
   async _handleVmAction(args, action) {
     const clusterDevice = args.device; // The specific ProxmoxClusterDevice instance
     if (!clusterDevice || typeof clusterDevice.executeVmAction !== 'function') {
@@ -252,6 +317,60 @@ module.exports = class ProxmoxClusterDriver extends Homey.Driver {
     return this._handleVmAction(args, 'shutdown');
   }
 
+  async onFlowActionShutdownVmForce(args, state) {
+    return this._handleDeviceMethod(args, 'shutdownVmWithFallback');
+  }
+
+  async onFlowActionRebootVm(args, state) {
+    return this._handleVmAction(args, 'reboot');
+  }
+
+  async onFlowActionResetVm(args, state) {
+    return this._handleVmAction(args, 'reset');
+  }
+
+  async onFlowActionSuspendVm(args, state) {
+    return this._handleVmAction(args, 'suspend');
+  }
+
+  async onFlowActionResumeVm(args, state) {
+    return this._handleVmAction(args, 'resume');
+  }
+
+  async onFlowActionHibernateVm(args, state) {
+    return this._handleVmAction(args, 'hibernate');
+  }
+
+  // Generic handler for the device-level actions, delegates to the device method of the same name
+  async _handleDeviceMethod(args, method) {
+    const clusterDevice = args.device;
+    if (!clusterDevice || typeof clusterDevice[method] !== 'function') {
+      this.error(this.homey.__('driver.flow_action_no_context', { s: method }));
+      throw new Error(this.homey.__('error.device_context_missing'));
+    }
+    return clusterDevice[method](args);
+  }
+
+  async onFlowActionCreateSnapshot(args, state) {
+    return this._handleDeviceMethod(args, 'createSnapshot');
+  }
+
+  async onFlowActionRollbackSnapshot(args, state) {
+    return this._handleDeviceMethod(args, 'rollbackSnapshot');
+  }
+
+  async onFlowActionDeleteSnapshot(args, state) {
+    return this._handleDeviceMethod(args, 'deleteSnapshot');
+  }
+
+  async onFlowActionBackupVm(args, state) {
+    return this._handleDeviceMethod(args, 'backupVm');
+  }
+
+  async onFlowActionMigrateVm(args, state) {
+    return this._handleDeviceMethod(args, 'migrateVm');
+  }
+
   // Run listener for VM/LXC Is Running Condition
   async onFlowConditionIsRunning(args, state) {
     const clusterDevice = args.device; // The specific ProxmoxClusterDevice instance
@@ -263,4 +382,45 @@ module.exports = class ProxmoxClusterDriver extends Homey.Driver {
     return clusterDevice.checkVmStatus(args);
   }
 
+  // Run listener for the Cluster Is Quorate Condition
+  async onFlowConditionIsQuorate(args, state) {
+    const clusterDevice = args.device;
+    if (!clusterDevice || typeof clusterDevice.checkQuorum !== 'function') {
+      throw new Error(this.homey.__('error.device_context_missing'));
+    }
+    return clusterDevice.checkQuorum();
+  }
+
+  async onFlowConditionHaResourceState(args, state) {
+    return this._handleDeviceMethod(args, 'checkHaResourceState');
+  }
+
+  async onFlowConditionCephFlag(args, state) {
+    return this._handleDeviceMethod(args, 'checkCephFlag');
+  }
+
+  async onFlowActionSetCephFlag(args, state) {
+    return this._handleDeviceMethod(args, 'setCephFlag');
+  }
+
+  async onFlowActionUnsetCephFlag(args, state) {
+    return this._handleDeviceMethod(args, 'unsetCephFlag');
+  }
+
+  async onFlowConditionUpsOnBattery(args, state) {
+    return this._handleDeviceMethod(args, 'checkUpsOnBattery');
+  }
+
+  async onFlowActionShutdownCluster(args, state) {
+    return this._handleDeviceMethod(args, 'shutdownCluster');
+  }
+
+  async onFlowActionStartCluster(args, state) {
+    return this._handleDeviceMethod(args, 'startCluster');
+  }
+
+  async onFlowActionRollingReboot(args, state) {
+    return this._handleDeviceMethod(args, 'rollingReboot');
+  }
+
 }; // End of class ProxmoxClusterDriver
@@ -0,0 +1,96 @@
+'use strict';
+
+const ClusterChildDevice = require('../../lib/ClusterChildDevice');
+
+// Represents an individual paired Proxmox guest (QEMU VM or LXC container)
+module.exports = class ProxmoxGuestDevice extends ClusterChildDevice {
+
+  // === LIFECYCLE METHODS ===
+
+  async onInit() {
+    this.log(`Initializing guest: ${this.getName()}`);
+    this.pollSetting = { id: 'poll_interval_guest', defaultMinutes: '1' };
+
+    this.registerCapabilityListener('onoff', this.onCapabilityOnoff.bind(this));
+
+    await super.onInit();
+  }
+
+  async onAdded() {
+    this.log(`Guest added: ${this.getName()}`);
+  }
+
+  // === API HELPER ===
+
+  // Target descriptor in the same shape as the cluster driver's target_vm autocomplete
+  _getTarget() {
+    const { vmid, type } = this.getData();
+    return { target_vm: { id: { vmid, type, name: this.getName() } } };
+  }
+
+  // === GUEST STATUS & ACTIONS ===
+
+  async updateStatus() {
+    const { vmid, type } = this.getData();
+    try {
+      const cluster = await this._getClusterDevice();
+
+      // Resolve the node from the cached resources list (refreshed by the cluster poll) on every poll, so a
+      // migration is picked up. A stale entry makes PVE answer with a 500; that must not fail over to the
+      // other hosts, so refresh the list once and retry.
+      const statusOptions = { skipCache: true, failoverOnServerError: false };
+      let status;
+      try {
+        const node = await cluster._findNodeForVm(vmid, type, { useCache: true });
+        status = await cluster._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/status/current`, statusOptions);
+      } catch (error) {
+        const node = await cluster._findNodeForVm(vmid, type);
+        status = await cluster._executeApiCallWithFallback(`/api2/json/nodes/${node}/${type}/${vmid}/status/current`, statusOptions);
+      }
+
+      const d = status?.data;
+      if (!d) throw new Error('Invalid response from guest status');
+
+      const isRunning = d.status === 'running';
+      await this._updateCapability('onoff', isRunning);
+      await this._updateCapability('status_guest', this._mapGuestStatus(d));
+
+      // CPU (fraction of allocated cores)
+      const cpuPerc = isRunning ? parseFloat(((d.cpu || 0) * 100).toFixed(1)) : 0;
+      await this._updateCapability('measure_cpu_usage_perc', cpuPerc);
+
+      // Mem
+      const memPerc = isRunning && d.maxmem > 0 ? parseFloat(((d.mem / d.maxmem) * 100).toFixed(1)) : 0;
+      await this._updateCapability('measure_memory_usage_perc', memPerc);
+
+      // Disk (QEMU only reports usage with a guest agent, leave empty when unknown)
+      const diskPerc = d.disk > 0 && d.maxdisk > 0 ? parseFloat(((d.disk / d.maxdisk) * 100).toFixed(1)) : null;
+      await this._updateCapability('measure_disk_usage_perc', diskPerc);
+
+      // Uptime (hours)
+      await this._updateCapability('measure_uptime', parseFloat(((d.uptime || 0) / 3600).toFixed(1)));
+
+      if (!this.getAvailable()) await this.setAvailable();
+    } catch (error) {
+      this.error(`Status update failed for guest [${vmid}]:`, error.message);
+      await this.setUnavailable(error.message).catch(this.error);
+    }
+  }
+
+  _mapGuestStatus(d) {
+    if (d.lock === 'suspended') return 'suspended';
+    if (d.status === 'running' && (d.qmpstatus === 'paused' || d.qmpstatus === 'suspended')) return d.qmpstatus;
+    if (d.status === 'running' || d.status === 'stopped') return d.status;
+    return 'unknown';
+  }
+
+  async onCapabilityOnoff(value) {
+    const action = value ? 'start' : 'shutdown';
+    const cluster = await this._getClusterDevice();
+
+    // Don't block the device UI until the task finishes, the next status update reflects the result
+    await cluster.executeVmAction(this._getTarget(), action, { waitForTask: false });
+    this._createManagedTimeout(() => this.updateStatus().catch(this.error), 5000);
+  }
+
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const Homey = require('homey');
+
+// Driver for individual Proxmox guest devices (QEMU VMs and LXC containers)
+module.exports = class ProxmoxGuestDriver extends Homey.Driver {
+
+  async onInit() {
+    this.log(this.homey.__('driver.guest_driver_initializing'));
+  }
+
+  // Handles the pairing process (combined list of guests from all clusters)
+  async onPair(session) {
+    this.log(this.homey.__('driver.guest_onpair_started'));
+
+    session.setHandler('list_devices', async () => {
+      // Step 1: Get all configured cluster devices
+      let clusterDevices = [];
+      try {
+        clusterDevices = this.homey.drivers.getDriver('proxmox-cluster').getDevices();
+      } catch (driverError) {
+        throw new Error('Could not retrieve cluster devices.');
+      }
+      if (clusterDevices.length === 0) {
+        throw new Error(this.homey.__('error.no_cluster_devices'));
+      }
+
+      // Step 2: Fetch guests from ALL clusters in parallel
+      const resultsPerCluster = await Promise.all(clusterDevices.map((clusterDevice) => this._fetchGuestsForCluster(clusterDevice)
+        .catch((error) => {
+          this.error(this.homey.__('driver.guest_fetch_failed', { s: clusterDevice.getName(), s2: error.message }));
+          return [];
+        })));
+
+      // Step 3: Filter out guests that are already paired
+      const existingIds = this.getDevices().map((device) => device.getData().id);
+      const guestsToAdd = resultsPerCluster.flat().filter((guest) => !existingIds.includes(guest.data.id));
+      this.log(this.homey.__('driver.guest_returning', { s: guestsToAdd.length }));
+
+      return guestsToAdd;
+    });
+  }
+
+  // Helper function to fetch guests for a specific cluster device object
+  async _fetchGuestsForCluster(clusterDevice) {
+    const clusterDeviceId = clusterDevice.getData().id;
+    const clusterDeviceName = clusterDevice.getName();
+
+    const res = await clusterDevice._executeApiCallWithFallback('/api2/json/cluster/resources', { refreshCache: true });
+    if (!Array.isArray(res?.data)) return [];
+
+    return res.data
+      .filter((r) => (r.type === 'qemu' || r.type === 'lxc') && r.template !== 1)
+      .sort((a, b) => a.vmid - b.vmid)
+      .map((r) => ({
+        name: `${r.name || r.vmid} (${r.type} ${r.vmid} @${clusterDeviceName})`,
+        data: {
+          id: `${clusterDeviceId}:${r.vmid}`, // VMIDs are unique per cluster
+          serverId: clusterDeviceId, // Link to the cluster device
+          vmid: r.vmid,
+          type: r.type,
+        },
+        icon: r.type === 'lxc' ? '/assets/container.svg' : '/assets/virtual-machine.svg',
+      }));
+  }
+
+};
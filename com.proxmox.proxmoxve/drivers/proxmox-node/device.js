@@ -1,6 +1,22 @@
 'use strict';
 
 const Homey = require('homey');
+const WakeOnLan = require('../../lib/WakeOnLan');
+const RedfishClient = require('../../lib/RedfishClient');
+
+// Capabilities that only exist while a BMC is configured
+const BMC_CAPABILITIES = ['status_bmc_power', 'measure_power', 'measure_temperature'];
+const BMC_SETTINGS = ['bmc_host', 'bmc_username', 'bmc_password', 'bmc_allow_self_signed_certs'];
+
+// Metrics from the node status, added to existing devices on init
+const NODE_METRIC_CAPABILITIES = [
+  'measure_load_avg_1', 'measure_load_avg_5', 'measure_load_avg_15', 'measure_io_wait', 'measure_swap_usage_perc',
+  'measure_rootfs_usage_perc', 'measure_uptime', 'measure_cpu_cores', 'status_cpu_model', 'status_kernel_version', 'status_pve_version',
+];
+
+// Added once the node turns out to have ZFS pools
+const ZFS_CAPABILITIES = ['status_zfs_health', 'measure_zfs_fragmentation', 'measure_zfs_usage_perc'];
+const ZFS_STATE_ORDER = ['unknown', 'online', 'degraded', 'faulted'];
 
 // Represents an individual paired Proxmox Node device
 module.exports = class ProxmoxNodeDevice extends Homey.Device {
@@ -12,6 +28,18 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
     this.activeTimeouts = new Set();
     this.updateIntervalId = null;
 
+    // Debounce state for the online/offline triggers
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    this.lastError = null;
+    this.isOffline = this.getCapabilityValue('alarm_node_status') === true;
+    this.macLearnAttempted = false;
+    this.lastUptime = null; // seconds, to notice reboots that are too short for the offline debounce
+    this.redfish = null;
+
+    // The BMC is independent of the Proxmox API, so it also works while the node is down
+    await this._configureBmc(this.getSettings()).catch((e) => this.error('BMC setup failed:', e.message));
+
     await this._initializeWithRetry();
   }
 
@@ -39,12 +67,18 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
     try {
       if (!this.hasCapability('measure_vm_count')) await this.addCapability('measure_vm_count');
       if (!this.hasCapability('measure_lxc_count')) await this.addCapability('measure_lxc_count');
+      if (!this.hasCapability('alarm_disk_health')) await this.addCapability('alarm_disk_health');
+      for (const id of NODE_METRIC_CAPABILITIES) {
+        if (!this.hasCapability(id)) await this.addCapability(id);
+      }
 
       // Attempt to fetch first status update
       await this.updateNodeStatus();
 
       // If successful, start periodic polling
       this.startPolling();
+      this.startDiskPolling();
+      this.startZfsPolling();
     } catch (error) {
       this.error('Init Error:', error);
       await this._updateCapability('alarm_node_status', true).catch(this.error);
@@ -60,6 +94,16 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
     if (changedKeys.includes('poll_interval_node')) {
       this.startPolling(newSettings.poll_interval_node);
     }
+    if (changedKeys.includes('poll_interval_disks')) {
+      this.startDiskPolling(newSettings.poll_interval_disks);
+    }
+    if (changedKeys.includes('poll_interval_zfs')) {
+      this.startZfsPolling(newSettings.poll_interval_zfs);
+    }
+    if (changedKeys.some((key) => BMC_SETTINGS.includes(key))) {
+      // Settings are only stored after this returns, so pass the new values along
+      this._createManagedTimeout(() => this._configureBmc(newSettings).catch((e) => this.error('BMC setup failed:', e.message)), 1000);
+    }
   }
 
   async onRenamed(name) {
@@ -69,6 +113,8 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
   async onDeleted() {
     this.log(`Deleted: ${this.getName()}`);
     this.stopPolling();
+    this.stopDiskPolling();
+    this.stopZfsPolling();
     this._clearAllTimeouts();
   }
 
@@ -86,6 +132,7 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
     const pollIntervalMs = pollIntervalMinutes * 60 * 1000;
     this.updateIntervalId = this.homey.setInterval(() => {
       this.updateNodeStatus().catch(this.error);
+      if (this.redfish) this.updateBmcStatus().catch(this.error);
     }, pollIntervalMs);
   }
 
@@ -96,6 +143,53 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
     }
   }
 
+  // SMART data changes slowly and reading it wakes up sleeping disks, so it has its own (hourly) schedule
+  startDiskPolling(interval = null) {
+    this.stopDiskPolling();
+    const val = interval !== null ? interval : this.getSetting('poll_interval_disks');
+    const effectiveVal = (val !== null && val !== undefined && val !== '') ? val : '6';
+
+    const pollIntervalHours = parseFloat(effectiveVal);
+    if (Number.isNaN(pollIntervalHours) || pollIntervalHours <= 0) return;
+
+    this.diskIntervalId = this.homey.setInterval(() => {
+      this.updateDiskHealth().catch(this.error);
+    }, pollIntervalHours * 60 * 60 * 1000);
+
+    // First check shortly after startup, out of the way of the regular status poll
+    this._createManagedTimeout(() => this.updateDiskHealth().catch(this.error), 60 * 1000);
+  }
+
+  stopDiskPolling() {
+    if (this.diskIntervalId) {
+      this.homey.clearInterval(this.diskIntervalId);
+      this.diskIntervalId = null;
+    }
+  }
+
+  // ZFS pool state is read outside the status poll, it costs a 'zpool status' per pool
+  startZfsPolling(interval = null) {
+    this.stopZfsPolling();
+    const val = interval !== null ? interval : this.getSetting('poll_interval_zfs');
+    const effectiveVal = (val !== null && val !== undefined && val !== '') ? val : '15';
+
+    const pollIntervalMinutes = parseFloat(effectiveVal);
+    if (Number.isNaN(pollIntervalMinutes) || pollIntervalMinutes <= 0) return;
+
+    this.zfsIntervalId = this.homey.setInterval(() => {
+      this.updateZfsStatus().catch(this.error);
+    }, pollIntervalMinutes * 60 * 1000);
+
+    this._createManagedTimeout(() => this.updateZfsStatus().catch(this.error), 30 * 1000);
+  }
+
+  stopZfsPolling() {
+    if (this.zfsIntervalId) {
+      this.homey.clearInterval(this.zfsIntervalId);
+      this.zfsIntervalId = null;
+    }
+  }
+
   // === API HELPER ===
 
   async _getClusterDevice() {
@@ -117,7 +211,8 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
       const cluster = await this._getClusterDevice();
 
       const [statusRes, resourcesRes] = await Promise.all([
-        cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/status`, { ...options, refreshCache: true }),
+        // An offline node makes every host answer with a 595, that says nothing about the hosts themselves
+        cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/status`, { ...options, refreshCache: true, failoverOnServerError: false }),
         cluster._executeApiCallWithFallback('/api2/json/cluster/resources', { ...options, refreshCache: true }),
       ]);
 
@@ -132,8 +227,24 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
         const cpuPerc = parseFloat((d.cpu * 100).toFixed(1));
         await this._updateCapability('measure_cpu_usage_perc', cpuPerc);
 
+        await this._updateNodeMetrics(d);
+
         // Status
-        await this._updateCapability('alarm_node_status', false);
+        await this._recordPollResult(true);
+
+        // A reboot outside Homey can be over before the offline threshold is reached, but the uptime still resets
+        const uptime = d.uptime || 0;
+        if (this.lastUptime !== null && uptime < this.lastUptime) {
+          this.log(`Node ${nodeName} has been rebooted (uptime reset)`);
+          await this._autoUnsetCephFlags();
+        }
+        this.lastUptime = uptime;
+
+        // Remember the MAC address while the node is reachable, it is needed to wake it up later
+        if (!this.macLearnAttempted && !this.getSetting('wol_mac')) {
+          this.macLearnAttempted = true;
+          await this._learnMacAddress(cluster).catch((e) => this.error('Could not learn MAC address:', e.message));
+        }
 
         if (!this.getAvailable()) await this.setAvailable();
 
@@ -151,33 +262,423 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
         await this._updateCapability('measure_lxc_count', lxcCount);
       }
 
+      return true;
     } catch (error) {
       this.error(`Status update failed for [${nodeName}]:`, error.message);
-      await this._updateCapability('alarm_node_status', true);
-      // We do NOT set unavailable here, to keep previous stats visible, but alarm is on.
+      // Only an answer from the API (e.g. a 595 for an unreachable node) says something about the node itself.
+      // Without one (cluster device unavailable, no host reachable) Homey can't tell, so don't count it.
+      if (error.statusCode) await this._recordPollResult(false, error);
+      // We do NOT set unavailable here, to keep previous stats visible, but alarm is on once debounced.
+      return false;
+    }
+  }
+
+  async _updateNodeMetrics(d) {
+    const perc = (part) => (part?.total > 0 ? parseFloat(((part.used / part.total) * 100).toFixed(1)) : 0);
+
+    // Load averages are reported as strings
+    const [load1, load5, load15] = (d.loadavg || []).map((l) => parseFloat(l) || 0);
+    await this._updateCapability('measure_load_avg_1', load1 ?? null);
+    await this._updateCapability('measure_load_avg_5', load5 ?? null);
+    await this._updateCapability('measure_load_avg_15', load15 ?? null);
+
+    await this._updateCapability('measure_io_wait', parseFloat(((d.wait || 0) * 100).toFixed(1)));
+    await this._updateCapability('measure_swap_usage_perc', perc(d.swap));
+    await this._updateCapability('measure_rootfs_usage_perc', perc(d.rootfs));
+    await this._updateCapability('measure_uptime', parseFloat(((d.uptime || 0) / 3600).toFixed(1)));
+
+    const cpu = d.cpuinfo || {};
+    await this._updateCapability('measure_cpu_cores', (cpu.cores || 0) * (cpu.sockets || 1) || null);
+    await this._updateCapability('status_cpu_model', cpu.model ? `${cpu.model}${cpu.cpus ? ` (${cpu.cpus} threads)` : ''}` : '-');
+
+    // kversion: "Linux 6.8.12-4-pve #1 SMP PREEMPT_DYNAMIC ...", pveversion: "pve-manager/8.2.7/3e0176e6bb2ade3b"
+    const kernel = d['current-kernel']?.release || (d.kversion || '').split(' ')[1];
+    await this._updateCapability('status_kernel_version', kernel || '-');
+    await this._updateCapability('status_pve_version', (d.pveversion || '').split('/')[1] || '-');
+  }
+
+  // Only flips alarm_node_status (and fires the triggers) after enough consecutive failed or successful polls
+  async _recordPollResult(success, error = null) {
+    const nodeName = this.getData().id;
+
+    if (success) {
+      this.consecutiveFailures = 0;
+      this.consecutiveSuccesses++;
+
+      if (this.isOffline && this.consecutiveSuccesses >= this._getThreshold('online_threshold', 1)) {
+        const offlineSince = this.getStoreValue('offline_since');
+        this.isOffline = false;
+        this.log(`Node ${nodeName} is back online`);
+        this._triggerFlow('node_came_online', {
+          node: nodeName,
+          downtime: offlineSince ? Math.round((Date.now() - offlineSince) / 1000) : 0,
+          last_error: this.lastError || '',
+        });
+        await this.unsetStoreValue('offline_since').catch(this.error);
+        await this._autoUnsetCephFlags();
+      }
+    } else {
+      this.consecutiveSuccesses = 0;
+      this.consecutiveFailures++;
+      this.lastError = error?.message || 'Unknown error';
+
+      // Remember when the node was first missed, so the downtime includes the debounce period
+      if (this.consecutiveFailures === 1 && !this.isOffline) {
+        await this.setStoreValue('offline_since', Date.now()).catch(this.error);
+      }
+
+      if (!this.isOffline && this.consecutiveFailures >= this._getThreshold('offline_threshold', 3)) {
+        const offlineSince = this.getStoreValue('offline_since');
+        this.isOffline = true;
+        this.log(`Node ${nodeName} went offline after ${this.consecutiveFailures} failed polls`);
+        this._triggerFlow('node_went_offline', {
+          node: nodeName,
+          downtime: offlineSince ? Math.round((Date.now() - offlineSince) / 1000) : 0,
+          last_error: this.lastError,
+        });
+      }
     }
+
+    await this._updateCapability('alarm_node_status', this.isOffline);
+  }
+
+  _getThreshold(settingId, defaultValue) {
+    const value = parseInt(this.getSetting(settingId), 10);
+    return Number.isNaN(value) || value < 1 ? defaultValue : value;
   }
 
+  // Power actions: 'shutdown', 'reboot' or 'stop' (stop all guests first, then shut down).
+  // Only resolves once the node is offline, or back online again after a reboot.
   async triggerPowerAction(action) {
     const nodeName = this.getData().id;
     this.log(`Action ${action} on node ${nodeName}`);
 
     try {
       const cluster = await this._getClusterDevice();
-      const endpoint = `/api2/json/nodes/${nodeName}/status`;
 
-      await cluster._executeApiCallWithFallback(endpoint, {
+      if (action === 'stop') {
+        // No parameters: stopall shuts the guests down and force-stops them after a timeout by default,
+        // and older PVE versions reject the 'force-stop' parameter
+        this.log(`Stopping all guests on node ${nodeName}`);
+        const res = await cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/stopall`, { method: 'POST' });
+        await cluster.waitForTask(res?.data, { timeout: 30 * 60 * 1000, pollInterval: 5000 });
+      }
+
+      // Proxmox only accepts 'reboot' and 'shutdown' as node commands
+      const command = action === 'reboot' ? 'reboot' : 'shutdown';
+      await cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/status`, {
         method: 'POST',
-        body: `command=${action}`,
-        timeout: (action === 'shutdown' ? 60000 : 15000),
+        body: new URLSearchParams({ command }).toString(),
+        timeout: 60000,
       });
 
+      const offlineAfter = await cluster.waitForNodeState(nodeName, false, { timeout: 15 * 60 * 1000 });
+      this.log(`Node ${nodeName} went offline after ${offlineAfter}s`);
+
+      if (command === 'reboot') {
+        const onlineAfter = await cluster.waitForNodeState(nodeName, true, { timeout: 30 * 60 * 1000, pollInterval: 10000 });
+        this.log(`Node ${nodeName} is back online after ${offlineAfter + onlineAfter}s`);
+
+        // A quick reboot may never be noticed by the debounced polling, so check here as well
+        if (await this.updateNodeStatus()) await this._autoUnsetCephFlags();
+      }
+
       this._createManagedTimeout(() => this.updateNodeStatus().catch(this.error), 2000);
     } catch (error) {
-      throw new Error(`Failed to ${action} ${nodeName}: ${error.message}`);
+      throw new Error(this.homey.__('error.action_failed', { s: action, s2: error.message }));
+    }
+  }
+
+  // Sends a Wake-on-LAN magic packet and waits until the node answers status polls again
+  async powerOn() {
+    const nodeName = this.getData().id;
+    if (!WakeOnLan.normalizeMac(this.getSetting('wol_mac'))) {
+      throw new Error(this.homey.__('error.wol_mac_missing', { s: nodeName }));
+    }
+
+    if (await this.updateNodeStatus({ timeout: 5000 })) {
+      this.log(`Node ${nodeName} is already online`);
+      return;
+    }
+
+    await this._sendWakeOnLan();
+
+    // Booting a server (POST, disks, cluster join) easily takes several minutes
+    const startTime = Date.now();
+    while (Date.now() - startTime < 15 * 60 * 1000) {
+      await new Promise((resolve) => this.homey.setTimeout(resolve, 10000));
+      if (await this.updateNodeStatus({ timeout: 5000 })) {
+        this.log(`Node ${nodeName} is online after ${Math.round((Date.now() - startTime) / 1000)}s`);
+        return;
+      }
+    }
+    throw new Error(this.homey.__('error.node_online_timeout', { s: nodeName }));
+  }
+
+  async _sendWakeOnLan() {
+    const mac = WakeOnLan.normalizeMac(this.getSetting('wol_mac'));
+    const address = this.getSetting('wol_broadcast') || '255.255.255.255';
+    const port = parseInt(this.getSetting('wol_port'), 10) || 9;
+    this.log(`Sending Wake-on-LAN to ${mac} via ${address}:${port}`);
+    await WakeOnLan.send(mac, { address, port });
+  }
+
+  // Wakes the node with the best method it has: the BMC when configured, otherwise Wake-on-LAN.
+  // Resolves with the method used, or null when the node has no way to be woken.
+  async wake() {
+    if (this.redfish) {
+      // Some BMCs reject a power-on for a server that is already on
+      if (await this.redfish.getPowerState() !== 'On') await this.bmcPowerAction('on');
+      return 'bmc';
+    }
+    if (WakeOnLan.normalizeMac(this.getSetting('wol_mac'))) {
+      await this._sendWakeOnLan();
+      return 'wol';
+    }
+    return null;
+  }
+
+  // Picks the MAC of the interface that carries the node's cluster IP (or the first port of that bridge)
+  async _learnMacAddress(cluster) {
+    const nodeName = this.getData().id;
+    const [networkRes, statusRes] = await Promise.all([
+      cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/network`),
+      cluster._executeApiCallWithFallback('/api2/json/cluster/status', { skipCache: true }),
+    ]);
+    const interfaces = Array.isArray(networkRes?.data) ? networkRes.data : [];
+    const nodeIp = (statusRes?.data || []).find((n) => n.type === 'node' && n.name === nodeName)?.ip;
+
+    const byName = (name) => interfaces.find((i) => i.iface === name);
+    const primary = interfaces.find((i) => nodeIp && (i.address === nodeIp || (i.cidr || '').split('/')[0] === nodeIp));
+    const candidates = [
+      primary,
+      ...String(primary?.bridge_ports || primary?.slaves || '').split(/\s+/).map(byName),
+      ...interfaces.filter((i) => i.type === 'eth' && i.active === 1),
+    ];
+
+    const mac = candidates.map((i) => WakeOnLan.normalizeMac(i?.hwaddr)).find(Boolean);
+    if (!mac) {
+      this.log(`No MAC address reported for node ${nodeName}, enter it in the device settings to use Wake-on-LAN`);
+      return;
+    }
+    this.log(`Learned MAC address ${mac} for node ${nodeName}`);
+    await this.setSettings({ wol_mac: mac });
+  }
+
+  // === DISK HEALTH (SMART) ===
+
+  async updateDiskHealth() {
+    if (this.isOffline) return;
+    const nodeName = this.getData().id;
+    const cluster = await this._getClusterDevice();
+    // A node that just went down answers with a 595 from every host, that's not a reason to fail over
+    const res = await cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/disks/list`, {
+      skipCache: true,
+      timeout: 60000,
+      failoverOnServerError: false,
+    });
+    if (!Array.isArray(res?.data)) throw new Error('Invalid response from disk list');
+
+    const threshold = Number(this.getSetting('disk_wearout_threshold')) || 10;
+    const degraded = res.data.filter((disk) => this._isDiskDegraded(disk, threshold));
+    await this._updateCapability('alarm_disk_health', degraded.length > 0);
+
+    // Remember which disks were already reported, so a restart of the app doesn't fire again
+    const reported = this.getStoreValue('degraded_disks') || [];
+    const diskKey = (disk) => disk.serial || disk.devpath;
+
+    for (const disk of degraded.filter((d) => !reported.includes(diskKey(d)))) {
+      this.log(`Disk ${disk.devpath} (${disk.model}) on ${nodeName} degraded: health ${disk.health}, wearout ${disk.wearout}`);
+      this._triggerFlow('disk_health_degraded', {
+        devpath: disk.devpath || '',
+        model: disk.model || '',
+        serial: disk.serial || '',
+        health: disk.health || '',
+        wearout: typeof disk.wearout === 'number' ? disk.wearout : -1,
+      });
+    }
+    await this.setStoreValue('degraded_disks', degraded.map(diskKey)).catch(this.error);
+  }
+
+  // Failed SMART self-assessment, or an SSD whose remaining life (wearout, in %) dropped to the threshold
+  _isDiskDegraded(disk, wearoutThreshold) {
+    const health = String(disk.health || '').toUpperCase();
+    if (health && !['PASSED', 'OK', 'UNKNOWN'].includes(health)) return true;
+    return typeof disk.wearout === 'number' && disk.wearout <= wearoutThreshold;
+  }
+
+  // === ZFS POOLS ===
+
+  async updateZfsStatus() {
+    if (this.isOffline) return;
+    const nodeName = this.getData().id;
+    const cluster = await this._getClusterDevice();
+    // Like the disk list, an error answer about this node must not count against the hosts
+    const res = await cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/disks/zfs`, { skipCache: true, failoverOnServerError: false });
+    const pools = Array.isArray(res?.data) ? res.data : [];
+    if (pools.length === 0) return;
+
+    for (const id of ZFS_CAPABILITIES) {
+      if (!this.hasCapability(id)) await this.addCapability(id);
+    }
+
+    // The list only has the summary, scrub results need the per pool details (zpool status)
+    const details = await Promise.all(pools.map((pool) => cluster
+      ._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/disks/zfs/${encodeURIComponent(pool.name)}`, { skipCache: true, failoverOnServerError: false })
+      .then((r) => r?.data || {})
+      .catch(() => ({}))));
+
+    // Show the worst pool, and the highest fragmentation/usage of all pools
+    const states = pools.map((pool, i) => String(details[i].state || pool.health || '').toUpperCase());
+    const health = states.map((state) => this._mapZfsState(state))
+      .sort((a, b) => ZFS_STATE_ORDER.indexOf(b) - ZFS_STATE_ORDER.indexOf(a))[0];
+    const fragmentation = Math.max(...pools.map((pool) => pool.frag || 0));
+    const usage = Math.max(...pools.map((pool) => (pool.size > 0 ? (pool.alloc / pool.size) * 100 : 0)));
+
+    await this._updateCapability('status_zfs_health', health);
+    await this._updateCapability('measure_zfs_fragmentation', fragmentation);
+    await this._updateCapability('measure_zfs_usage_perc', parseFloat(usage.toFixed(1)));
+
+    // Kept in the store, so a restart of the app doesn't report the same problem again
+    const previous = this.getStoreValue('zfs_pools') || {};
+    const current = {};
+    pools.forEach((pool, i) => {
+      const state = states[i];
+      const scan = details[i].scan || '';
+      const known = previous[pool.name];
+      current[pool.name] = { state, scan };
+
+      if (state !== 'ONLINE' && (!known || known.state === 'ONLINE')) {
+        this.log(`ZFS pool ${pool.name} on ${nodeName} is ${state}`);
+        this._triggerFlow('zfs_pool_degraded', {
+          pool: pool.name,
+          state,
+          previous_state: known?.state || '',
+          status: details[i].status || '',
+        });
+      }
+
+      // e.g. "scrub repaired 0B in 00:01:02 with 0 errors on Sun Oct 12 00:25:03 2025"
+      const scrubErrors = parseInt(scan.match(/^scrub repaired .* with (\d+) errors/)?.[1] || '0', 10);
+      if (scrubErrors > 0 && scan !== known?.scan) {
+        this.log(`ZFS scrub of pool ${pool.name} on ${nodeName} found ${scrubErrors} errors`);
+        this._triggerFlow('zfs_scrub_errors', {
+          pool: pool.name,
+          errors: scrubErrors,
+          scan,
+          data_errors: details[i].errors || '',
+        });
+      }
+    });
+    await this.setStoreValue('zfs_pools', current).catch(this.error);
+  }
+
+  // ONLINE and DEGRADED map directly, any other state means (part of) the pool is not accessible
+  _mapZfsState(state) {
+    if (!state) return 'unknown';
+    if (state === 'ONLINE' || state === 'DEGRADED') return state.toLowerCase();
+    return 'faulted';
+  }
+
+  // === BMC (REDFISH) ===
+
+  // Creates the Redfish client and adds/removes the BMC capabilities depending on the settings
+  async _configureBmc(settings) {
+    const host = (settings.bmc_host || '').trim();
+    this.redfish = host ? new RedfishClient({
+      host,
+      username: settings.bmc_username,
+      password: settings.bmc_password,
+      allow_self_signed_certs: settings.bmc_allow_self_signed_certs === true,
+    }) : null;
+
+    for (const id of BMC_CAPABILITIES) {
+      if (this.redfish && !this.hasCapability(id)) await this.addCapability(id);
+      if (!this.redfish && this.hasCapability(id)) await this.removeCapability(id);
+    }
+
+    if (this.redfish) await this.updateBmcStatus();
+  }
+
+  async updateBmcStatus() {
+    if (!this.redfish) return;
+    try {
+      const [powerState, sensors] = await Promise.all([
+        this.redfish.getPowerState(),
+        this.redfish.getSensors().catch((e) => {
+          this.error('BMC sensor read failed:', e.message);
+          return null;
+        }),
+      ]);
+      await this._updateCapability('status_bmc_power', this._mapBmcPowerState(powerState));
+
+      if (sensors) {
+        await this._updateCapability('measure_power', sensors.power);
+        const highest = sensors.temperatures.reduce((max, t) => (max === null || t.celsius > max ? t.celsius : max), null);
+        await this._updateCapability('measure_temperature', highest);
+      }
+    } catch (error) {
+      this.error(`BMC status update failed for [${this.getData().id}]:`, error.message);
+      await this._updateCapability('status_bmc_power', 'unknown');
+    }
+  }
+
+  _mapBmcPowerState(powerState) {
+    const map = {
+      On: 'on', Off: 'off', PoweringOn: 'powering_on', PoweringOff: 'powering_off',
+    };
+    return map[powerState] || 'unknown';
+  }
+
+  // action: 'on', 'off' (graceful), 'force_off' or 'cycle'
+  async bmcPowerAction(action) {
+    if (!this.redfish) throw new Error(this.homey.__('error.bmc_not_configured', { s: this.getName() }));
+
+    const resetTypes = {
+      on: ['On', ['ForceOn']],
+      off: ['GracefulShutdown', []],
+      force_off: ['ForceOff', []],
+      cycle: ['PowerCycle', ['ForceRestart']],
+    };
+    const [resetType, fallbacks] = resetTypes[action];
+
+    try {
+      const used = await this.redfish.reset(resetType, fallbacks);
+      this.log(`BMC ${used} sent for node ${this.getData().id}`);
+    } catch (error) {
+      throw new Error(this.homey.__('error.bmc_action_failed', { s: action, s2: error.message }));
+    }
+    this._createManagedTimeout(() => this.updateBmcStatus().catch(this.error), 5000);
+  }
+
+  // Clears noout/norebalance/nobackfill once the node is healthy again, when enabled in the settings
+  async _autoUnsetCephFlags() {
+    if (!this.getSetting('ceph_auto_unset_flags')) return;
+    try {
+      const cluster = await this._getClusterDevice();
+      const unset = await cluster.unsetCephMaintenanceFlags();
+      if (unset.length > 0) this.log(`Node ${this.getData().id} is healthy again, unset Ceph flags: ${unset.join(', ')}`);
+    } catch (error) {
+      this.error('Could not unset Ceph flags:', error.message);
     }
   }
 
+  // Evacuates the node: migrates all guests to targetNode via /nodes/{node}/migrateall
+  async migrateAllGuests(targetNode) {
+    const nodeName = this.getData().id;
+    this.log(`Migrating all guests from ${nodeName} to ${targetNode}`);
+
+    const cluster = await this._getClusterDevice();
+    const res = await cluster._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/migrateall`, {
+      method: 'POST',
+      body: new URLSearchParams({ target: targetNode }).toString(),
+    });
+    const task = await cluster.waitForTask(res?.data, { timeout: 4 * 60 * 60 * 1000, pollInterval: 5000 });
+
+    this._createManagedTimeout(() => this.updateNodeStatus().catch(this.error), 2000);
+    return cluster._getTaskTokens(task);
+  }
+
   // === HELPERS ===
 
   async _updateCapability(id, value) {
@@ -187,6 +688,11 @@ module.exports = class ProxmoxNodeDevice extends Homey.Device {
     }
   }
 
+  _triggerFlow(cardId, tokens, state = {}) {
+    this.homey.flow.getDeviceTriggerCard(cardId).trigger(this, tokens, state)
+      .catch((e) => this.error(`Failed to trigger ${cardId}:`, e));
+  }
+
   _createManagedTimeout(fn, ms) {
     const id = this.homey.setTimeout(async () => {
       this.activeTimeouts.delete(id);
@@ -94,7 +94,8 @@ module.exports = class ProxmoxNodeDriver extends Homey.Driver {
 
       if (Array.isArray(nodesData?.data)) {
         nodesData.data.forEach((node) => {
-          if (node.node && node.status === 'online') {
+          // Offline cluster members are listed too, they can be paired to power them on later
+          if (node.node && (node.status === 'online' || node.status === 'offline')) {
             this.log(this.homey.__('driver.node_mapping', { s: node.node, s2: clusterDeviceName }));
             discoveredNodes.push({
               name: node.node, // Original node name
@@ -132,7 +133,16 @@ module.exports = class ProxmoxNodeDriver extends Homey.Driver {
         this.error(this.homey.__('driver.node_flow_not_found', { s: 'shutdown_node' }));
       }
 
-      // Register Stop Node Action
+      // Register Reboot Node Action
+      const rebootNodeAction = this.homey.flow.getActionCard('reboot_node');
+      if (rebootNodeAction) {
+        rebootNodeAction.registerRunListener(this.onFlowActionPower.bind(this, 'reboot'));
+        this.log(this.homey.__('driver.node_reboot_registered'));
+      } else {
+        this.error(this.homey.__('driver.node_flow_not_found', { s: 'reboot_node' }));
+      }
+
+      // Register Stop Node Action (stops all guests, then shuts down)
       const stopNodeAction = this.homey.flow.getActionCard('stop_node');
       if (stopNodeAction) {
         // Pass action name 'stop' using .bind()
@@ -142,6 +152,38 @@ module.exports = class ProxmoxNodeDriver extends Homey.Driver {
         this.error(this.homey.__('driver.node_flow_not_found', { s: 'stop_node' }));
       }
 
+      // Register Power On (Wake-on-LAN) Action
+      const powerOnAction = this.homey.flow.getActionCard('power_on_node');
+      if (powerOnAction) {
+        powerOnAction.registerRunListener(this.onFlowActionPowerOn.bind(this));
+      } else {
+        this.error(this.homey.__('driver.node_flow_not_found', { s: 'power_on_node' }));
+      }
+
+      // Register BMC (Redfish) Power Actions
+      const bmcActions = {
+        bmc_power_on: () => 'on',
+        bmc_power_off: (args) => (args.mode === 'force' ? 'force_off' : 'off'),
+        bmc_power_cycle: () => 'cycle',
+      };
+      for (const [cardId, getAction] of Object.entries(bmcActions)) {
+        const card = this.homey.flow.getActionCard(cardId);
+        if (card) {
+          card.registerRunListener((args, state) => this.onFlowActionBmcPower(getAction(args), args));
+        } else {
+          this.error(this.homey.__('driver.node_flow_not_found', { s: cardId }));
+        }
+      }
+
+      // Register Migrate All Guests Action
+      const migrateAllAction = this.homey.flow.getActionCard('migrate_all_node');
+      if (migrateAllAction) {
+        migrateAllAction.registerRunListener(this.onFlowActionMigrateAll.bind(this));
+        migrateAllAction.getArgument('target_node').registerAutocompleteListener(this.handleTargetNodeAutocomplete.bind(this));
+      } else {
+        this.error(this.homey.__('driver.node_flow_not_found', { s: 'migrate_all_node' }));
+      }
+
       // Register Node is Online Condition
       const nodeOnlineCondition = this.homey.flow.getConditionCard('node_is_online');
       if (nodeOnlineCondition) {
@@ -150,14 +192,13 @@ module.exports = class ProxmoxNodeDriver extends Homey.Driver {
           if (!nodeDevice) return false;
 
           // Force real-time check with 3s timeout
+          // The alarm is debounced, so the live result of this check is what counts here
           try {
-            await nodeDevice.updateNodeStatus({ timeout: 3000 });
+            return await nodeDevice.updateNodeStatus({ timeout: 3000 });
           } catch (e) {
-            // Ignore error here, updateNodeStatus handles alarms internally
+            // updateNodeStatus handles alarms internally
+            return false;
           }
-
-          // Returns TRUE if alarm is FALSE (meaning online)
-          return !nodeDevice.getCapabilityValue('alarm_node_status');
         });
         this.log(this.homey.__('driver.node_condition_registered'));
       } else {
@@ -193,4 +234,49 @@ module.exports = class ProxmoxNodeDriver extends Homey.Driver {
     }
   }
 
+  // Autocomplete for migration targets: the other online nodes of the same cluster
+  async handleTargetNodeAutocomplete(query, args) {
+    const nodeDevice = args?.device;
+    if (!nodeDevice) return [];
+    try {
+      const cluster = await nodeDevice._getClusterDevice();
+      return await cluster.getNodeAutocompleteResults(query, nodeDevice.getData().id);
+    } catch (error) {
+      this.error('Target node autocomplete failed:', error.message);
+      return [];
+    }
+  }
+
+  async onFlowActionPowerOn(args, state) {
+    const nodeDevice = args.device;
+    if (!nodeDevice) {
+      this.error(this.homey.__('driver.node_flow_action_no_context', { s: 'power_on' }));
+      throw new Error(this.homey.__('error.device_context_missing'));
+    }
+    await nodeDevice.powerOn();
+    return true;
+  }
+
+  async onFlowActionBmcPower(action, args) {
+    const nodeDevice = args.device;
+    if (!nodeDevice) {
+      this.error(this.homey.__('driver.node_flow_action_no_context', { s: `bmc_${action}` }));
+      throw new Error(this.homey.__('error.device_context_missing'));
+    }
+    await nodeDevice.bmcPowerAction(action);
+    return true;
+  }
+
+  async onFlowActionMigrateAll(args, state) {
+    const nodeDevice = args.device;
+    if (!nodeDevice) {
+      this.error(this.homey.__('driver.node_flow_action_no_context', { s: 'migrate_all' }));
+      throw new Error(this.homey.__('error.device_context_missing'));
+    }
+    const targetNode = args.target_node?.id || args.target_node?.name;
+    if (!targetNode) throw new Error(this.homey.__('error.invalid_node'));
+
+    return nodeDevice.migrateAllGuests(targetNode);
+  }
+
 }; // End of class ProxmoxNodeDriver
@@ -0,0 +1,77 @@
+'use strict';
+
+const ClusterChildDevice = require('../../lib/ClusterChildDevice');
+
+const BYTES_PER_GB = 1024 ** 3;
+
+// Represents a paired Proxmox storage (a node-local storage or a shared storage)
+module.exports = class ProxmoxStorageDevice extends ClusterChildDevice {
+
+  // === LIFECYCLE METHODS ===
+
+  async onInit() {
+    this.log(`Initializing storage: ${this.getName()}`);
+    this.pollSetting = { id: 'poll_interval_storage', defaultMinutes: '5' };
+
+    await super.onInit();
+  }
+
+  async onSettings({ newSettings, changedKeys }) {
+    await super.onSettings({ newSettings, changedKeys });
+    if (changedKeys.includes('usage_threshold')) {
+      // Re-evaluate the alarm against the new threshold once the settings are saved
+      this._createManagedTimeout(() => this.updateStatus().catch(this.error), 1000);
+    }
+  }
+
+  // === STORAGE STATUS ===
+
+  async updateStatus() {
+    const { storage, node, shared } = this.getData();
+    try {
+      const cluster = await this._getClusterDevice();
+      // The cluster device refreshes this list on every poll, don't request it again for each storage
+      const res = await cluster._executeApiCallWithFallback('/api2/json/cluster/resources');
+      if (!Array.isArray(res?.data)) throw new Error('Invalid response from cluster resources');
+
+      // Shared storages are listed per node, use an entry that is actually available
+      const entries = res.data.filter((r) => r.type === 'storage' && r.storage === storage && (shared || r.node === node));
+      const entry = entries.find((r) => r.status === 'available' && r.maxdisk > 0) || entries[0];
+      if (!entry) throw new Error(this.homey.__('error.storage_not_found', { s: storage }));
+
+      const used = entry.disk || 0;
+      const total = entry.maxdisk || 0;
+      const usagePerc = total > 0 ? parseFloat(((used / total) * 100).toFixed(1)) : 0;
+
+      await this._updateCapability('measure_storage_used', parseFloat((used / BYTES_PER_GB).toFixed(1)));
+      await this._updateCapability('measure_storage_total', parseFloat((total / BYTES_PER_GB).toFixed(1)));
+      await this._updateCapability('measure_storage_usage_perc', usagePerc);
+      await this._updateUsageAlarm(usagePerc, entry);
+
+      if (!this.getAvailable()) await this.setAvailable();
+    } catch (error) {
+      this.error(`Status update failed for storage [${storage}]:`, error.message);
+      await this.setUnavailable(error.message).catch(this.error);
+    }
+  }
+
+  async _updateUsageAlarm(usagePerc, entry) {
+    const threshold = Number(this.getSetting('usage_threshold')) || 90;
+    const exceeded = usagePerc > threshold;
+    const wasExceeded = this.getCapabilityValue('alarm_storage_usage') === true;
+
+    await this._updateCapability('alarm_storage_usage', exceeded);
+
+    if (exceeded && !wasExceeded) {
+      this.log(`Storage ${entry.storage} usage ${usagePerc}% exceeded threshold of ${threshold}%`);
+      this.homey.flow.getDeviceTriggerCard('storage_threshold_exceeded').trigger(this, {
+        storage: entry.storage,
+        node: this.getData().shared ? '' : entry.node,
+        usage: usagePerc,
+        used: this.getCapabilityValue('measure_storage_used'),
+        total: this.getCapabilityValue('measure_storage_total'),
+      }).catch((e) => this.error('Failed to trigger storage_threshold_exceeded:', e));
+    }
+  }
+
+};
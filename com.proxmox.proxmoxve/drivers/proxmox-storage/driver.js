@@ -0,0 +1,83 @@
+'use strict';
+
+const Homey = require('homey');
+
+// Driver for Proxmox storage devices (per node, shared storages only once)
+module.exports = class ProxmoxStorageDriver extends Homey.Driver {
+
+  async onInit() {
+    this.log(this.homey.__('driver.storage_driver_initializing'));
+
+    const usageCondition = this.homey.flow.getConditionCard('storage_usage_above');
+    usageCondition.registerRunListener(async (args, state) => {
+      const storageDevice = args.device;
+      if (!storageDevice) throw new Error(this.homey.__('error.device_context_missing'));
+
+      await storageDevice.updateStatus();
+      return storageDevice.getCapabilityValue('measure_storage_usage_perc') > args.percentage;
+    });
+  }
+
+  // Handles the pairing process (combined list of storages from all clusters)
+  async onPair(session) {
+    this.log(this.homey.__('driver.storage_onpair_started'));
+
+    session.setHandler('list_devices', async () => {
+      let clusterDevices = [];
+      try {
+        clusterDevices = this.homey.drivers.getDriver('proxmox-cluster').getDevices();
+      } catch (driverError) {
+        throw new Error('Could not retrieve cluster devices.');
+      }
+      if (clusterDevices.length === 0) {
+        throw new Error(this.homey.__('error.no_cluster_devices'));
+      }
+
+      const resultsPerCluster = await Promise.all(clusterDevices.map((clusterDevice) => this._fetchStoragesForCluster(clusterDevice)
+        .catch((error) => {
+          this.error(this.homey.__('driver.storage_fetch_failed', { s: clusterDevice.getName(), s2: error.message }));
+          return [];
+        })));
+
+      const existingIds = this.getDevices().map((device) => device.getData().id);
+      const storagesToAdd = resultsPerCluster.flat().filter((storage) => !existingIds.includes(storage.data.id));
+      this.log(this.homey.__('driver.storage_returning', { s: storagesToAdd.length }));
+
+      return storagesToAdd;
+    });
+  }
+
+  // Helper function to fetch storages for a specific cluster device object
+  async _fetchStoragesForCluster(clusterDevice) {
+    const clusterDeviceId = clusterDevice.getData().id;
+    const clusterDeviceName = clusterDevice.getName();
+
+    const res = await clusterDevice._executeApiCallWithFallback('/api2/json/cluster/resources', { refreshCache: true });
+    if (!Array.isArray(res?.data)) return [];
+
+    // Shared storages are reported once per node, only list them once
+    const storages = new Map();
+    res.data
+      .filter((r) => r.type === 'storage' && r.storage)
+      .forEach((r) => {
+        const shared = r.shared === 1;
+        const key = shared ? r.storage : `${r.node}/${r.storage}`;
+        if (storages.has(key)) return;
+
+        storages.set(key, {
+          name: shared ? `${r.storage} (shared @${clusterDeviceName})` : `${r.storage} (${r.node} @${clusterDeviceName})`,
+          data: {
+            id: `${clusterDeviceId}:${key}`,
+            serverId: clusterDeviceId, // Link to the cluster device
+            storage: r.storage,
+            node: shared ? null : r.node,
+            shared,
+          },
+          icon: '/assets/memory.svg',
+        });
+      });
+
+    return [...storages.values()];
+  }
+
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+const Homey = require('homey');
+
+// Base class of the devices that are read through their paired cluster device (guests and storages).
+// Subclasses set `this.pollSetting` ({ id, defaultMinutes }) before calling super.onInit() and implement updateStatus().
+class ClusterChildDevice extends Homey.Device {
+
+  // === LIFECYCLE METHODS ===
+
+  async onInit() {
+    this.activeTimeouts = new Set();
+    this.updateIntervalId = null;
+
+    await this._initializeWithRetry();
+  }
+
+  async _initializeWithRetry() {
+    const { serverId } = this.getData();
+    if (!serverId) throw new Error(this.homey.__('error.server_id_missing'));
+
+    // The cluster device may still be initializing after an app start, retry instead of failing
+    try {
+      const cluster = await this.homey.drivers.getDriver('proxmox-cluster').getDevice({ id: serverId });
+      if (!cluster || !cluster.hostManager) {
+        this.log(`Cluster device [${serverId}] not ready yet. Waiting...`);
+        this._createManagedTimeout(() => this._initializeWithRetry(), 5000);
+        return;
+      }
+    } catch (e) {
+      this.log('Cluster driver/device not ready. Waiting...');
+      this._createManagedTimeout(() => this._initializeWithRetry(), 5000);
+      return;
+    }
+
+    await this.updateStatus();
+    this.startPolling();
+  }
+
+  async onSettings({ newSettings, changedKeys }) {
+    if (changedKeys.includes(this.pollSetting.id)) {
+      this.startPolling(newSettings[this.pollSetting.id]);
+    }
+  }
+
+  async onDeleted() {
+    this.log(`Deleted: ${this.getName()}`);
+    this.stopPolling();
+    this._clearAllTimeouts();
+  }
+
+  // === POLLING LOGIC ===
+
+  startPolling(interval = null) {
+    this.stopPolling();
+    const val = interval !== null ? interval : this.getSetting(this.pollSetting.id);
+    const effectiveVal = (val !== null && val !== undefined && val !== '') ? val : this.pollSetting.defaultMinutes;
+
+    const pollIntervalMinutes = parseFloat(effectiveVal);
+    if (Number.isNaN(pollIntervalMinutes) || pollIntervalMinutes <= 0) return;
+
+    const pollIntervalMs = pollIntervalMinutes * 60 * 1000;
+    this.updateIntervalId = this.homey.setInterval(() => {
+      this.updateStatus().catch(this.error);
+    }, pollIntervalMs);
+  }
+
+  stopPolling() {
+    if (this.updateIntervalId) {
+      this.homey.clearInterval(this.updateIntervalId);
+      this.updateIntervalId = null;
+    }
+  }
+
+  // === API HELPER ===
+
+  async _getClusterDevice() {
+    const serverId = this.getData()?.serverId;
+    if (!serverId) throw new Error(this.homey.__('error.server_id_missing'));
+
+    const clusterDevice = await this.homey.drivers.getDriver('proxmox-cluster').getDevice({ id: serverId });
+    if (!clusterDevice || !clusterDevice.getAvailable()) {
+      throw new Error(this.homey.__('error.cluster_unavailable'));
+    }
+    return clusterDevice;
+  }
+
+  // === HELPERS ===
+
+  async _updateCapability(id, value) {
+    if (!this.hasCapability(id)) return;
+    if (this.getCapabilityValue(id) !== value) {
+      await this.setCapabilityValue(id, value).catch((e) => this.error(e));
+    }
+  }
+
+  _createManagedTimeout(fn, ms) {
+    const id = this.homey.setTimeout(async () => {
+      this.activeTimeouts.delete(id);
+      await fn();
+    }, ms);
+    this.activeTimeouts.add(id);
+  }
+
+  _clearAllTimeouts() {
+    this.activeTimeouts.forEach((id) => this.homey.clearTimeout(id));
+    this.activeTimeouts.clear();
+  }
+
+}
+
+module.exports = ClusterChildDevice;
@@ -0,0 +1,427 @@
+'use strict';
+
+// Guests without a startup order are started after the ordered ones by Proxmox
+const UNORDERED = Number.MAX_SAFE_INTEGER;
+const DEFAULT_GUEST_SHUTDOWN_TIMEOUT = 180; // seconds, used when a guest has no startup 'down' delay
+const COLD_BOOT_TIMEOUT = 20 * 60 * 1000; // servers with POST and disk checks can take a long time to come up
+
+// Cluster wide sequences (orderly shutdown, cold start, rolling reboot) built on the actions of the cluster and node devices
+class ClusterOrchestrator {
+
+  constructor(clusterDevice) {
+    this.device = clusterDevice;
+    this.homey = clusterDevice.homey;
+    this.current = null; // sequence in progress: { name, promise, aborted }
+    this.abortRequested = null; // name of the sequence (the UPS shutdown) that took over from a running one
+  }
+
+  log(...args) {
+    this.device.log('[Orchestrator]', ...args);
+  }
+
+  // Running and stopped guests with their parsed startup config ('order=1,up=30,down=60')
+  async getGuests() {
+    const res = await this.device._executeApiCallWithFallback('/api2/json/cluster/resources', { refreshCache: true });
+    const guests = (res?.data || []).filter((r) => (r.type === 'qemu' || r.type === 'lxc') && r.template !== 1);
+
+    return Promise.all(guests.map(async (g) => {
+      const config = await this.device._executeApiCallWithFallback(`/api2/json/nodes/${g.node}/${g.type}/${g.vmid}/config`, { skipCache: true })
+        .catch(() => null);
+      const startup = this._parseStartup(config?.data?.startup);
+      return {
+        vmid: g.vmid,
+        type: g.type,
+        name: g.name || String(g.vmid),
+        node: g.node,
+        status: g.status,
+        onboot: config?.data?.onboot === 1,
+        ...startup,
+      };
+    }));
+  }
+
+  _parseStartup(startup) {
+    const result = { order: UNORDERED, up: 0, down: 0 };
+    for (const part of String(startup || '').split(',')) {
+      const [key, value] = part.split('=');
+      const number = parseInt(value, 10);
+      if (['order', 'up', 'down'].includes(key) && !Number.isNaN(number)) result[key] = number;
+    }
+    return result;
+  }
+
+  // Groups guests by startup order, ascending (boot order) or descending (shutdown order)
+  _groupByOrder(guests, descending = false) {
+    const groups = new Map();
+    for (const guest of guests) {
+      if (!groups.has(guest.order)) groups.set(guest.order, []);
+      groups.get(guest.order).push(guest);
+    }
+    return [...groups.keys()]
+      .sort((a, b) => (descending ? b - a : a - b))
+      .map((order) => groups.get(order));
+  }
+
+  _toTarget(guest) {
+    return { target_vm: { id: { vmid: guest.vmid, type: guest.type, name: guest.name } } };
+  }
+
+  // Only one sequence at a time. With takeOver (the UPS shutdown) a running sequence is told to stop at its next
+  // step and the new one starts right away, the batteries won't wait for a cold start or rolling reboot to finish.
+  async _runExclusive(name, fn, { takeOver = false } = {}) {
+    const previous = this.current;
+    if (previous) {
+      if (!takeOver) throw new Error(this.homey.__('error.orchestration_running', { s: previous.name }));
+      if (previous.name === name) return previous.promise;
+      this.log(`${name} takes over from the running ${previous.name}`);
+      previous.aborted = true;
+      this.abortRequested = name;
+    }
+
+    const run = { name, aborted: false };
+    this.current = run;
+    run.promise = (async () => {
+      try {
+        return await fn();
+      } finally {
+        if (this.current === run) this.current = null;
+      }
+    })();
+    if (previous) {
+      previous.promise.catch(() => null).finally(() => {
+        this.abortRequested = null;
+      });
+    }
+    return run.promise;
+  }
+
+  // Checkpoint for the cold start and rolling reboot, throws once the UPS shutdown has taken over
+  _checkAborted() {
+    if (this.abortRequested) throw new Error(this.homey.__('error.orchestration_aborted', { s: this.abortRequested }));
+  }
+
+  _progress(step, message, done = 0, total = 0) {
+    this.log(`[${step}] ${message}`);
+    this.device._triggerFlow('cluster_start_progress', {
+      step, message, done, total,
+    });
+  }
+
+  // === COLD START ===
+
+  // Wakes the nodes, waits for the API hosts and quorum, then starts the onboot guests in boot order
+  async startCluster() {
+    return this._runExclusive('start', async () => {
+      const startTime = Date.now();
+      let step = 'wake';
+      try {
+        const nodeDevices = this._getNodeDevices();
+        let woken = 0;
+        for (const nodeDevice of nodeDevices) {
+          const method = await nodeDevice.wake().catch((error) => {
+            this.device.error(`Waking node ${nodeDevice.getData().id} failed:`, error.message);
+            return null;
+          });
+          if (method) woken++;
+        }
+        this._progress(step, `Wake sent to ${woken} of ${nodeDevices.length} node(s)`, woken, nodeDevices.length);
+
+        this._checkAborted();
+        step = 'hosts';
+        const healthy = await this._waitForHealthyHosts(COLD_BOOT_TIMEOUT);
+        this._progress(step, `${healthy.healthy} of ${healthy.total} API host(s) reachable`, healthy.healthy, healthy.total);
+
+        this._checkAborted();
+        step = 'quorum';
+        await this._waitForQuorum(COLD_BOOT_TIMEOUT);
+        this._progress(step, 'Cluster is quorate', 1, 1);
+
+        this._checkAborted();
+        step = 'guests';
+        const result = await this._startOnbootGuests();
+
+        const tokens = {
+          started: result.started,
+          failed: result.failed,
+          duration: Math.round((Date.now() - startTime) / 1000),
+        };
+        this.log(`Cold start finished: ${result.started} guest(s) started, ${result.failed} failed`);
+        this.device._triggerFlow('cluster_start_finished', tokens);
+        return tokens;
+      } catch (error) {
+        this.device.error(`Cold start failed during ${step}:`, error.message);
+        this.device._triggerFlow('cluster_start_failed', { step, error: error.message });
+        throw error;
+      }
+    });
+  }
+
+  // Paired node devices of this cluster
+  _getNodeDevices() {
+    try {
+      const serverId = this.device.getData().id;
+      return this.homey.drivers.getDriver('proxmox-node').getDevices().filter((d) => d.getData().serverId === serverId);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Pings the primary and all known backup hosts until they all respond.
+  // Continues with the reachable ones after the timeout, a dead node must not block the rest.
+  // The HostManager state is not used for this, it considers all hosts healthy after a restart of Homey.
+  async _waitForHealthyHosts(timeout = COLD_BOOT_TIMEOUT) {
+    const { hostManager, proxmoxClient } = this.device;
+    const hosts = [...new Set([hostManager.primaryHost, ...this.device._getBackupHostsFromSettings()].filter(Boolean))];
+    const reachable = new Set();
+    const startTime = Date.now();
+
+    for (;;) {
+      this._checkAborted();
+      for (const host of hosts.filter((h) => !reachable.has(h))) {
+        const start = Date.now();
+        try {
+          await proxmoxClient.request(host, '/api2/json/version', { timeout: 5000 });
+          hostManager.updateHostStatus(host, true, Date.now() - start);
+          reachable.add(host);
+        } catch (err) {
+          hostManager.updateHostStatus(host, false);
+        }
+      }
+
+      const healthy = reachable.size;
+      if (healthy === hosts.length) return { healthy, total: hosts.length };
+      if (Date.now() - startTime > timeout) {
+        if (healthy > 0) return { healthy, total: hosts.length };
+        throw new Error(this.homey.__('error.no_hosts_reachable'));
+      }
+      await this.device._delay(10000);
+    }
+  }
+
+  async _waitForQuorum(timeout = 10 * 60 * 1000) {
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeout) {
+      this._checkAborted();
+      if (await this.device.checkQuorum().catch(() => false)) return;
+      await this.device._delay(5000);
+    }
+    throw new Error(this.homey.__('error.quorum_timeout'));
+  }
+
+  // Starts the stopped onboot guests group by group, waiting for the largest 'up' delay of a group before the next
+  async _startOnbootGuests() {
+    const guests = (await this.getGuests()).filter((g) => g.onboot && g.status !== 'running');
+    const total = guests.length;
+    let started = 0;
+    let failed = 0;
+    this._progress('guests', `Starting ${total} guest(s)`, 0, total);
+
+    for (const group of this._groupByOrder(guests)) {
+      this._checkAborted();
+      // Proxmox may already be auto-starting the same guests, skip what is running by now
+      const running = await this._getRunningVmids();
+      const results = await Promise.all(group.map(async (guest) => {
+        if (running.has(guest.vmid)) return true;
+        try {
+          await this.device.executeVmAction(this._toTarget(guest), 'start');
+          return true;
+        } catch (error) {
+          this.device.error(`Start of ${guest.type} ${guest.vmid} failed:`, error.message);
+          return false;
+        }
+      }));
+      started += results.filter(Boolean).length;
+      failed += results.filter((ok) => !ok).length;
+      this._progress('guests', `Started ${group.map((g) => g.name).join(', ')}`, started + failed, total);
+
+      const up = Math.max(...group.map((g) => g.up));
+      if (up > 0) await this.device._delay(up * 1000);
+    }
+    return { started, failed };
+  }
+
+  async _getRunningVmids() {
+    const res = await this.device._executeApiCallWithFallback('/api2/json/cluster/resources', { refreshCache: true }).catch(() => null);
+    return new Set((res?.data || []).filter((r) => r.status === 'running').map((r) => r.vmid));
+  }
+
+  // === ORDERLY SHUTDOWN ===
+
+  // Stops all running guests in reverse boot order, then shuts down the nodes (the node serving the API last)
+  async shutdownCluster({ takeOver = false } = {}) {
+    return this._runExclusive('shutdown', async () => {
+      const guests = (await this.getGuests()).filter((g) => g.status === 'running');
+      this.log(`Orderly shutdown started, ${guests.length} running guest(s)`);
+
+      let stopped = 0;
+      for (const group of this._groupByOrder(guests, true)) {
+        const results = await Promise.all(group.map((guest) => this._shutdownGuest(guest)));
+        stopped += results.filter(Boolean).length;
+      }
+
+      const nodes = await this._getOnlineNodes();
+      const local = nodes.find((n) => n.local === 1);
+      const others = nodes.filter((n) => n !== local);
+
+      // Remote nodes first, the node we talk to is needed to follow the others going down
+      await Promise.all(others.map((n) => this._shutdownNode(n.name)));
+      if (local) await this._shutdownNode(local.name);
+
+      this.log(`Orderly shutdown finished: ${stopped} guest(s), ${nodes.length} node(s)`);
+      return { guests: stopped, nodes: nodes.length };
+    }, { takeOver });
+  }
+
+  async _shutdownGuest(guest) {
+    const timeout = guest.down || DEFAULT_GUEST_SHUTDOWN_TIMEOUT;
+    try {
+      this.log(`Shutting down ${guest.type} ${guest.vmid} (${guest.name}), force stop after ${timeout}s`);
+      await this.device.executeVmAction(this._toTarget(guest), 'shutdown', {
+        params: { timeout: String(timeout), forceStop: '1' },
+        taskTimeout: (timeout + 120) * 1000,
+      });
+      return true;
+    } catch (error) {
+      // One stuck guest must not block powering down the rest of the cluster
+      this.device.error(`Shutdown of ${guest.type} ${guest.vmid} failed:`, error.message);
+      return false;
+    }
+  }
+
+  async _getOnlineNodes() {
+    const res = await this.device._executeApiCallWithFallback('/api2/json/cluster/status', { skipCache: true });
+    return (res?.data || []).filter((n) => n.type === 'node' && n.online === 1);
+  }
+
+  // Paired node device for this cluster, by node name
+  _getNodeDevice(nodeName) {
+    return this._getNodeDevices().find((d) => d.getData().id === nodeName) || null;
+  }
+
+  async _shutdownNode(nodeName) {
+    try {
+      await this._powerNode(nodeName, 'shutdown');
+    } catch (error) {
+      this.device.error(`Shutdown of node ${nodeName} failed:`, error.message);
+    }
+  }
+
+  // Runs a node power command through the node device when paired (it follows the node going down and back up)
+  async _powerNode(nodeName, command) {
+    const nodeDevice = this._getNodeDevice(nodeName);
+    if (nodeDevice) {
+      await nodeDevice.triggerPowerAction(command);
+      return;
+    }
+
+    // Node is not paired as a device, send the command directly
+    this.log(`Sending ${command} to node ${nodeName}`);
+    await this.device._executeApiCallWithFallback(`/api2/json/nodes/${nodeName}/status`, {
+      method: 'POST',
+      body: new URLSearchParams({ command }).toString(),
+      timeout: 60000,
+    });
+    await this.device.waitForNodeState(nodeName, false, { timeout: 15 * 60 * 1000 });
+    if (command === 'reboot') {
+      await this.device.waitForNodeState(nodeName, true, { timeout: 30 * 60 * 1000, pollInterval: 10000 });
+    }
+  }
+
+  // === ROLLING REBOOT ===
+
+  _phase(node, phase, message) {
+    this.log(`[${node}/${phase}] ${message}`);
+    this.device._triggerFlow('rolling_reboot_phase', { node, phase, message });
+  }
+
+  // Reboots the nodes one at a time: evacuate, reboot, wait for quorum, migrate the guests back.
+  // Stops at the first failure, leaving the remaining nodes and guests untouched.
+  async rollingReboot() {
+    return this._runExclusive('rolling reboot', async () => {
+      const startTime = Date.now();
+      let current = { node: '', phase: 'prepare' };
+      try {
+        const res = await this.device._executeApiCallWithFallback('/api2/json/cluster/status', { skipCache: true });
+        const nodes = (res?.data || []).filter((n) => n.type === 'node');
+        if (nodes.length < 2) throw new Error(this.homey.__('error.rolling_reboot_single_node'));
+        const offline = nodes.filter((n) => n.online !== 1).map((n) => n.name);
+        if (offline.length > 0) throw new Error(this.homey.__('error.nodes_offline', { s: offline.join(', ') }));
+        if (!await this.device.checkQuorum()) throw new Error(this.homey.__('error.quorum_timeout'));
+
+        // The node serving the API goes last, so the connection only has to fail over once
+        const names = nodes.map((n) => n.name).sort((a, b) => {
+          const local = nodes.find((n) => n.local === 1)?.name;
+          return (a === local) - (b === local) || a.localeCompare(b);
+        });
+        for (const [index, node] of names.entries()) {
+          const target = names[(index + 1) % names.length];
+
+          this._checkAborted();
+          current = { node, phase: 'migrate' };
+          const guests = await this._getGuestsOnNode(node);
+          this._phase(node, current.phase, `Migrating ${guests.length} guest(s) to ${target}`);
+          await this._evacuateNode(node, target);
+
+          this._checkAborted();
+          current = { node, phase: 'reboot' };
+          this._phase(node, current.phase, 'Rebooting');
+          await this._powerNode(node, 'reboot');
+
+          current = { node, phase: 'quorum' };
+          this._phase(node, current.phase, 'Waiting for quorum');
+          await this._waitForQuorum();
+
+          this._checkAborted();
+          current = { node, phase: 'migrate_back' };
+          // HA groups with failback may already have moved their guests back by themselves
+          const returned = new Set((await this._getGuestsOnNode(node)).map((g) => g.vmid));
+          const toMigrate = guests.filter((g) => !returned.has(g.vmid));
+          this._phase(node, current.phase, `Migrating ${toMigrate.length} guest(s) back`);
+          for (const guest of toMigrate) {
+            await this.device.migrateVm({ ...this._toTarget(guest), target_node: { id: node } });
+          }
+        }
+
+        const tokens = { nodes: names.length, duration: Math.round((Date.now() - startTime) / 1000) };
+        this.log(`Rolling reboot finished for ${names.length} node(s)`);
+        this.device._triggerFlow('rolling_reboot_finished', tokens);
+        return tokens;
+      } catch (error) {
+        this.device.error(`Rolling reboot aborted at ${current.node || '-'} (${current.phase}):`, error.message);
+        this.device._triggerFlow('rolling_reboot_failed', { ...current, error: error.message });
+        throw error;
+      }
+    });
+  }
+
+  async _getGuestsOnNode(node) {
+    const res = await this.device._executeApiCallWithFallback('/api2/json/cluster/resources', { refreshCache: true });
+    return (res?.data || [])
+      .filter((r) => (r.type === 'qemu' || r.type === 'lxc') && r.template !== 1 && r.node === node)
+      .map((r) => ({ vmid: r.vmid, type: r.type, name: r.name || String(r.vmid) }));
+  }
+
+  // Migrates everything off the node and makes sure nothing is left behind before it gets rebooted.
+  // For HA managed guests migrateall only queues the migrations, so keep checking until the node is empty.
+  async _evacuateNode(node, target, timeout = 30 * 60 * 1000) {
+    const res = await this.device._executeApiCallWithFallback(`/api2/json/nodes/${node}/migrateall`, {
+      method: 'POST',
+      body: new URLSearchParams({ target }).toString(),
+    });
+    await this.device.waitForTask(res?.data, { timeout: 4 * 60 * 60 * 1000, pollInterval: 5000 });
+
+    const startTime = Date.now();
+    for (;;) {
+      this._checkAborted();
+      const remaining = await this._getGuestsOnNode(node);
+      if (remaining.length === 0) return;
+      if (Date.now() - startTime > timeout) {
+        throw new Error(this.homey.__('error.guests_not_migrated', { s: remaining.map((g) => g.vmid).join(', '), s2: node }));
+      }
+      await this.device._delay(10000);
+    }
+  }
+
+}
+
+module.exports = ClusterOrchestrator;
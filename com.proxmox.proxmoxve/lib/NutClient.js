@@ -0,0 +1,92 @@
+'use strict';
+
+const net = require('net');
+
+// Minimal Network UPS Tools (upsd) client, see the NUT network protocol (TCP 3493)
+class NutClient {
+
+  constructor(config, options = {}) {
+    if (!config || !config.host) throw new Error('NUT host missing');
+    this._config = config;
+    this._options = options;
+  }
+
+  // Returns all variables of a UPS, e.g. { 'ups.status': 'OB LB', 'battery.charge': '35', 'battery.runtime': '420' }
+  async getVariables(upsName) {
+    const ups = upsName || this._config.ups || 'ups';
+    const lines = await this._session(`LIST VAR ${ups}`, `END LIST VAR ${ups}`);
+
+    const variables = {};
+    for (const line of lines) {
+      // VAR <ups> <name> "<value>"
+      const match = line.match(/^VAR \S+ (\S+) "(.*)"$/);
+      if (match) variables[match[1]] = match[2].replace(/\\(.)/g, '$1');
+    }
+    return variables;
+  }
+
+  // Opens a connection, logs in when credentials are set, runs one list command and logs out again
+  _session(command, endMarker) {
+    const {
+      host, port, username, password,
+    } = this._config;
+    const timeout = this._options.timeout || 10000;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port: port || 3493 });
+      const steps = [];
+      if (username) steps.push({ send: `USERNAME ${username}`, until: 'OK' });
+      if (password) steps.push({ send: `PASSWORD ${password}`, until: 'OK' });
+      steps.push({ send: command, until: endMarker, collect: true });
+
+      const collected = [];
+      let buffer = '';
+      let done = false;
+
+      const finish = (error) => {
+        if (done) return;
+        done = true;
+        if (!error) socket.write('LOGOUT\n');
+        socket.end();
+        socket.destroy();
+        if (error) reject(error);
+        else resolve(collected);
+      };
+
+      const next = () => {
+        if (steps.length === 0) finish();
+        else socket.write(`${steps[0].send}\n`);
+      };
+
+      socket.setTimeout(timeout, () => {
+        const err = new Error(`NUT request timed out after ${timeout}ms`);
+        err.code = 'ETIMEDOUT';
+        finish(err);
+      });
+      socket.on('error', finish);
+      socket.on('connect', next);
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index = buffer.indexOf('\n');
+        while (index >= 0 && !done) {
+          const line = buffer.slice(0, index).trim();
+          buffer = buffer.slice(index + 1);
+          index = buffer.indexOf('\n');
+
+          if (line.startsWith('ERR ')) {
+            finish(new Error(`NUT Error: ${line.slice(4)}`));
+          } else if (line === steps[0].until || (line.startsWith('OK') && steps[0].until === 'OK')) {
+            steps.shift();
+            next();
+          } else if (steps[0].collect) {
+            collected.push(line);
+          }
+        }
+      });
+      socket.on('close', () => finish(new Error('NUT connection closed')));
+    });
+  }
+
+}
+
+module.exports = NutClient;
@@ -70,7 +70,7 @@ class ProxmoxClient {
       // timeout removed here, handled via Promise.race
     };
 
-    if (method === 'POST' && options.body) {
+    if ((method === 'POST' || method === 'PUT') && options.body) {
       if (typeof options.body === 'object') {
         fetchOptions.headers['Content-Type'] = 'application/x-www-form-urlencoded';
         fetchOptions.body = options.body;
@@ -0,0 +1,150 @@
+'use strict';
+
+const fetch = require('node-fetch');
+const https = require('https');
+
+// Minimal Redfish client for out-of-band power control and sensors of a node's BMC (iDRAC, iLO, XCC, ...)
+class RedfishClient {
+
+  constructor(credentials, options = {}) {
+    if (!credentials || !credentials.host) throw new Error('BMC host missing');
+    if (!credentials.username) throw new Error('BMC username missing');
+    this._credentials = credentials;
+    this._options = options;
+    this._systemPath = null;
+    this._chassisPath = null;
+  }
+
+  _getAuthHeader() {
+    const { username, password } = this._credentials;
+    return `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+  }
+
+  _createAgent() {
+    // BMCs ship with self-signed certificates almost without exception
+    return new https.Agent({
+      rejectUnauthorized: !this._credentials.allow_self_signed_certs,
+      timeout: this._options.timeout || 15000,
+    });
+  }
+
+  async request(path, options = {}) {
+    const host = this._credentials.host.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+    const url = `https://${host}${path}`;
+    const method = options.method || 'GET';
+    const timeout = options.timeout || this._options.timeout || 15000;
+
+    const controller = new AbortController();
+    const fetchOptions = {
+      method,
+      headers: {
+        Authorization: this._getAuthHeader(),
+        Accept: 'application/json',
+        'User-Agent': 'Homey-ProxmoxVE/1.0',
+      },
+      agent: this._createAgent(),
+      signal: controller.signal,
+    };
+
+    if (options.body) {
+      fetchOptions.headers['Content-Type'] = 'application/json';
+      fetchOptions.body = JSON.stringify(options.body);
+    }
+
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      // eslint-disable-next-line homey-app/global-timers
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        const err = new Error(`Request timed out after ${timeout}ms`);
+        err.code = 'ETIMEDOUT';
+        reject(err);
+      }, timeout);
+    });
+
+    try {
+      const response = await Promise.race([fetch(url, fetchOptions), timeoutPromise]);
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        let errorBody = `(Status: ${response.status} ${response.statusText})`;
+        try {
+          errorBody = await response.text();
+        } catch (e) { }
+
+        const error = new Error(`Redfish Error ${response.status}: ${errorBody.substring(0, 200)}`);
+        error.statusCode = response.status;
+        throw error;
+      }
+
+      // Actions usually answer 202/204 without a body
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text || null;
+      }
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (error.name === 'AbortError') error.code = 'ETIMEDOUT';
+      throw error;
+    }
+  }
+
+  // Resolves the first member of a collection (servers expose exactly one system/chassis)
+  async _getFirstMember(collectionPath) {
+    const collection = await this.request(collectionPath);
+    const member = collection?.Members?.[0]?.['@odata.id'];
+    if (!member) throw new Error(`No members in ${collectionPath}`);
+    return member;
+  }
+
+  async getSystem() {
+    this._systemPath = this._systemPath || await this._getFirstMember('/redfish/v1/Systems');
+    return this.request(this._systemPath);
+  }
+
+  // 'On', 'Off', 'PoweringOn' or 'PoweringOff'
+  async getPowerState() {
+    const system = await this.getSystem();
+    return system?.PowerState || 'Unknown';
+  }
+
+  // resetType: On, ForceOff, GracefulShutdown, PowerCycle, ... falls back when the BMC does not allow it
+  async reset(resetType, fallbacks = []) {
+    const system = await this.getSystem();
+    const action = system?.Actions?.['#ComputerSystem.Reset'];
+    const target = action?.target || `${this._systemPath}/Actions/ComputerSystem.Reset`;
+    const allowed = action?.['ResetType@Redfish.AllowableValues'];
+
+    const type = !Array.isArray(allowed) ? resetType : [resetType, ...fallbacks].find((t) => allowed.includes(t));
+    if (!type) throw new Error(`Reset type ${resetType} is not supported by this BMC`);
+
+    await this.request(target, { method: 'POST', body: { ResetType: type } });
+    return type;
+  }
+
+  // Power draw (watts) and temperatures from the chassis Power and Thermal resources
+  async getSensors() {
+    this._chassisPath = this._chassisPath || await this._getFirstMember('/redfish/v1/Chassis');
+    const chassis = await this.request(this._chassisPath);
+
+    const [power, thermal] = await Promise.all([
+      chassis?.Power?.['@odata.id'] ? this.request(chassis.Power['@odata.id']).catch(() => null) : null,
+      chassis?.Thermal?.['@odata.id'] ? this.request(chassis.Thermal['@odata.id']).catch(() => null) : null,
+    ]);
+
+    const watts = power?.PowerControl?.[0]?.PowerConsumedWatts;
+    const temperatures = (thermal?.Temperatures || [])
+      .filter((t) => typeof t.ReadingCelsius === 'number' && t.Status?.State !== 'Absent')
+      .map((t) => ({ name: t.Name, celsius: t.ReadingCelsius }));
+
+    return {
+      power: typeof watts === 'number' ? watts : null,
+      temperatures,
+    };
+  }
+
+}
+
+module.exports = RedfishClient;
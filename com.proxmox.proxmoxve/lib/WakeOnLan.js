@@ -0,0 +1,56 @@
+'use strict';
+
+const dgram = require('dgram');
+
+class WakeOnLan {
+
+  // Normalizes 'aa:bb:cc:dd:ee:ff', 'AA-BB-...' or 'aabbccddeeff' to lowercase colon notation, null when invalid
+  static normalizeMac(mac) {
+    const hex = String(mac || '').replace(/[^0-9a-fA-F]/g, '').toLowerCase();
+    if (hex.length !== 12) return null;
+    return hex.match(/.{2}/g).join(':');
+  }
+
+  // Magic packet: 6 x 0xFF followed by the MAC address repeated 16 times
+  static createMagicPacket(mac) {
+    const normalized = WakeOnLan.normalizeMac(mac);
+    if (!normalized) throw new Error(`Invalid MAC address: ${mac}`);
+
+    const macBuffer = Buffer.from(normalized.replace(/:/g, ''), 'hex');
+    const packet = Buffer.alloc(6 + 16 * 6, 0xff);
+    for (let i = 0; i < 16; i++) {
+      macBuffer.copy(packet, 6 + i * 6);
+    }
+    return packet;
+  }
+
+  // Sends the magic packet a few times, UDP gives no delivery guarantee
+  static async send(mac, options = {}) {
+    const address = options.address || '255.255.255.255';
+    const port = options.port || 9;
+    const repeat = options.repeat || 3;
+    const packet = WakeOnLan.createMagicPacket(mac);
+
+    const socket = dgram.createSocket('udp4');
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(() => {
+          socket.setBroadcast(true);
+          resolve();
+        });
+      });
+
+      for (let i = 0; i < repeat; i++) {
+        await new Promise((resolve, reject) => {
+          socket.send(packet, 0, packet.length, port, address, (error) => (error ? reject(error) : resolve()));
+        });
+      }
+    } finally {
+      socket.close();
+    }
+  }
+
+}
+
+module.exports = WakeOnLan;